@@ -0,0 +1,268 @@
+/**
+ * @file AudioEngine.js
+ * @class AudioEngine
+ * @description Общий аудиоконтекст приложения: громкость, отключение звука и разблокировка автовоспроизведения
+ */
+
+export class AudioEngine {
+    /**
+     * @static
+     * @description Ключ для сохранения настроек звука
+     * @type {string}
+     */
+    static STORAGE_KEY = 'countdown-audio';
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки звука
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            volume: 0.7,
+            muted: false,
+            persist: true
+        };
+        
+        this.settings = { ...this.defaults, ...options, ...this.loadState(options) };
+        this.context = null;
+        this.masterGain = null;
+        this.samples = new Map();
+        this.listeners = new Set();
+    }
+    
+    /**
+     * @method isSupported
+     * @description Проверяет поддержку Web Audio API
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+    
+    /**
+     * @method isUnlocked
+     * @description Можно ли воспроизводить звук прямо сейчас
+     * @returns {boolean}
+     */
+    isUnlocked() {
+        return Boolean(this.context) && this.context.state === 'running';
+    }
+    
+    /**
+     * @method unlock
+     * @description Создает и запускает аудиоконтекст; вызывать из обработчика действия пользователя
+     * @returns {Promise<boolean>} - Удалось ли разблокировать звук
+     */
+    async unlock() {
+        if (!this.isSupported()) return false;
+        
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            
+            this.context = new AudioContextClass();
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.applyVolume();
+        }
+        
+        if (this.context.state === 'suspended') {
+            try {
+                await this.context.resume();
+            } catch (error) {
+                console.warn('⚠️ Браузер не разрешил воспроизведение звука:', error);
+            }
+        }
+        
+        if (this.isUnlocked()) {
+            this.notify();
+        }
+        
+        return this.isUnlocked();
+    }
+    
+    /**
+     * @method getContext
+     * @description Возвращает аудиоконтекст, если звук разблокирован
+     * @returns {AudioContext|null}
+     */
+    getContext() {
+        return this.isUnlocked() ? this.context : null;
+    }
+    
+    /**
+     * @method getDestination
+     * @description Узел, к которому подключаются все источники звука
+     * @returns {AudioNode|null}
+     */
+    getDestination() {
+        return this.masterGain;
+    }
+    
+    /**
+     * @method setVolume
+     * @description Устанавливает общую громкость
+     * @param {number} volume - Громкость от 0 до 1
+     */
+    setVolume(volume) {
+        this.settings.volume = Math.min(Math.max(Number(volume) || 0, 0), 1);
+        this.applyVolume();
+        this.saveState();
+        this.notify();
+    }
+    
+    /**
+     * @method getVolume
+     * @description Возвращает общую громкость
+     * @returns {number}
+     */
+    getVolume() {
+        return this.settings.volume;
+    }
+    
+    /**
+     * @method setMuted
+     * @description Включает или выключает звук
+     * @param {boolean} muted - Выключить звук
+     */
+    setMuted(muted) {
+        this.settings.muted = Boolean(muted);
+        this.applyVolume();
+        this.saveState();
+        this.notify();
+    }
+    
+    /**
+     * @method toggleMute
+     * @description Переключает звук
+     * @returns {boolean} - Новое состояние muted
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+        return this.settings.muted;
+    }
+    
+    /**
+     * @method isMuted
+     * @description Выключен ли звук
+     * @returns {boolean}
+     */
+    isMuted() {
+        return this.settings.muted;
+    }
+    
+    /**
+     * @method applyVolume
+     * @description Плавно применяет громкость к общему узлу
+     */
+    applyVolume() {
+        if (!this.masterGain) return;
+        
+        const target = this.settings.muted ? 0 : this.settings.volume;
+        
+        // Плавный переход без щелчков
+        this.masterGain.gain.setTargetAtTime(target, this.context.currentTime, 0.05);
+    }
+    
+    /**
+     * @method loadSample
+     * @description Загружает и декодирует звуковой файл
+     * @param {string} url - Адрес файла
+     * @returns {Promise<AudioBuffer|null>}
+     */
+    async loadSample(url) {
+        if (this.samples.has(url)) return this.samples.get(url);
+        
+        const context = this.getContext();
+        if (!context) return null;
+        
+        try {
+            const response = await fetch(url);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const buffer = await context.decodeAudioData(await response.arrayBuffer());
+            this.samples.set(url, buffer);
+            return buffer;
+        } catch (error) {
+            console.warn(`⚠️ Не удалось загрузить звук "${url}":`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * @method onChange
+     * @description Подписывает на изменение громкости, отключения и разблокировки
+     * @param {Function} listener - Обработчик (engine)
+     * @returns {Function} - Функция отписки
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    
+    /**
+     * @method notify
+     * @description Оповещает подписчиков об изменении состояния
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+    
+    /**
+     * @method loadState
+     * @description Читает сохраненные настройки звука
+     * @param {Object} options - Настройки конструктора
+     * @returns {Object}
+     */
+    loadState(options) {
+        if (options.persist === false) return {};
+        
+        try {
+            const saved = JSON.parse(localStorage.getItem(AudioEngine.STORAGE_KEY));
+            
+            if (!saved) return {};
+            
+            return {
+                ...(typeof saved.volume === 'number' && { volume: saved.volume }),
+                ...(typeof saved.muted === 'boolean' && { muted: saved.muted })
+            };
+        } catch (error) {
+            // Хранилище недоступно (приватный режим) - используем значения по умолчанию
+            return {};
+        }
+    }
+    
+    /**
+     * @method saveState
+     * @description Сохраняет настройки звука
+     */
+    saveState() {
+        if (!this.settings.persist) return;
+        
+        try {
+            localStorage.setItem(AudioEngine.STORAGE_KEY, JSON.stringify({
+                volume: this.settings.volume,
+                muted: this.settings.muted
+            }));
+        } catch (error) {
+            // Настройки просто не переживут перезагрузку
+        }
+    }
+    
+    /**
+     * @method destroy
+     * @description Закрывает аудиоконтекст
+     */
+    destroy() {
+        this.listeners.clear();
+        this.samples.clear();
+        
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+            this.masterGain = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,237 @@
+import { EventBus } from '../core/EventBus.js';
+
+/**
+ * @file Chimes.js
+ * @class Chimes
+ * @description Бой курантов: двенадцать ударов колокола перед полуночью
+ */
+
+export class Chimes {
+    /**
+     * @static
+     * @description Обертоны синтезированного колокола: кратность частоты, громкость и доля времени затухания
+     * @type {Array<Object>}
+     */
+    static BELL_PARTIALS = [
+        { ratio: 0.5, gain: 0.35, decay: 1 },
+        { ratio: 1, gain: 0.5, decay: 0.8 },
+        { ratio: 1.19, gain: 0.25, decay: 0.6 },
+        { ratio: 1.5, gain: 0.2, decay: 0.5 },
+        { ratio: 2, gain: 0.3, decay: 0.45 },
+        { ratio: 2.74, gain: 0.12, decay: 0.3 },
+        { ratio: 3.76, gain: 0.08, decay: 0.2 },
+        { ratio: 5.4, gain: 0.05, decay: 0.12 }
+    ];
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки курантов
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            bus: null,
+            audio: null,
+            strokes: 12,
+            strokeInterval: 1000,
+            // Первый удар за 12 секунд до цели, последний - за секунду
+            startAt: 12000,
+            lookahead: 1500,
+            frequency: 98,
+            decay: 4.5,
+            volume: 0.8,
+            // Адрес собственной записи удара вместо синтеза
+            sampleUrl: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.scheduledStrokes = new Set();
+        this.voices = new Set();
+        this.sample = null;
+        this.isSampleRequested = false;
+        this.unsubscribers = [];
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Подписывается на тики счетчика
+     */
+    initialize() {
+        const { bus, audio } = this.settings;
+        
+        if (!bus || !audio) {
+            console.error('❌ Для курантов нужны шина событий и аудиодвижок');
+            return;
+        }
+        
+        this.unsubscribers.push(
+            bus.on(EventBus.EVENTS.COUNTDOWN_TICK, ({ diff }) => this.handleTick(diff)),
+            bus.on(EventBus.EVENTS.COUNTDOWN_PHASE, ({ phase, previous }) => {
+                // После перехода на следующий год куранты снова доступны
+                if (phase === 'countdown' && previous !== 'countdown') {
+                    this.reset();
+                }
+            }),
+            audio.onChange(() => this.loadSample())
+        );
+    }
+    
+    /**
+     * @method handleTick
+     * @description Планирует удары, попадающие в ближайшее окно
+     * @param {number} diff - Время до цели в миллисекундах
+     */
+    handleTick(diff) {
+        const { strokes, strokeInterval, startAt, lookahead } = this.settings;
+        
+        if (diff > startAt + lookahead) {
+            // Цель отодвинулась (смена пояса), уже запланированные удары не нужны
+            if (this.scheduledStrokes.size) this.reset();
+            return;
+        }
+        
+        if (!this.settings.audio.getContext()) return;
+        
+        for (let index = 0; index < strokes; index++) {
+            if (this.scheduledStrokes.has(index)) continue;
+            
+            const delay = diff - (startAt - index * strokeInterval);
+            
+            // Пропущенные удары не догоняем, дальние запланируем на следующих тиках
+            if (delay < -strokeInterval / 2 || delay > lookahead) continue;
+            
+            this.scheduledStrokes.add(index);
+            this.strike(Math.max(delay, 0) / 1000, index === strokes - 1);
+        }
+    }
+    
+    /**
+     * @method strike
+     * @description Воспроизводит один удар
+     * @param {number} delay - Задержка в секундах
+     * @param {boolean} isLast - Последний удар звучит громче
+     */
+    strike(delay, isLast = false) {
+        const context = this.settings.audio.getContext();
+        if (!context) return;
+        
+        const time = context.currentTime + delay;
+        const strength = this.settings.volume * (isLast ? 1.2 : 1);
+        
+        if (this.sample) {
+            this.playSample(context, time, strength);
+        } else {
+            this.playBell(context, time, strength);
+        }
+    }
+    
+    /**
+     * @method playBell
+     * @description Синтезирует удар колокола сложением затухающих обертонов
+     * @param {AudioContext} context - Аудиоконтекст
+     * @param {number} time - Время удара по часам контекста
+     * @param {number} strength - Громкость удара
+     */
+    playBell(context, time, strength) {
+        const { frequency, decay } = this.settings;
+        const output = context.createGain();
+        output.gain.value = strength / Chimes.BELL_PARTIALS.length;
+        output.connect(this.settings.audio.getDestination());
+        
+        Chimes.BELL_PARTIALS.forEach(partial => {
+            const oscillator = context.createOscillator();
+            const envelope = context.createGain();
+            const duration = decay * partial.decay;
+            
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency * partial.ratio;
+            
+            envelope.gain.setValueAtTime(0, time);
+            envelope.gain.linearRampToValueAtTime(partial.gain, time + 0.005);
+            envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+            
+            oscillator.connect(envelope);
+            envelope.connect(output);
+            
+            this.track(oscillator);
+            oscillator.start(time);
+            oscillator.stop(time + duration + 0.05);
+        });
+    }
+    
+    /**
+     * @method playSample
+     * @description Воспроизводит загруженную запись удара
+     * @param {AudioContext} context - Аудиоконтекст
+     * @param {number} time - Время удара по часам контекста
+     * @param {number} strength - Громкость удара
+     */
+    playSample(context, time, strength) {
+        const source = context.createBufferSource();
+        const gain = context.createGain();
+        
+        source.buffer = this.sample;
+        gain.gain.value = strength;
+        
+        source.connect(gain);
+        gain.connect(this.settings.audio.getDestination());
+        
+        this.track(source);
+        source.start(time);
+    }
+    
+    /**
+     * @method track
+     * @description Запоминает источник, чтобы его можно было отменить
+     * @param {AudioScheduledSourceNode} source - Источник звука
+     */
+    track(source) {
+        this.voices.add(source);
+        source.onended = () => this.voices.delete(source);
+    }
+    
+    /**
+     * @method loadSample
+     * @description Загружает запись удара после разблокировки звука
+     */
+    async loadSample() {
+        const { sampleUrl, audio } = this.settings;
+        
+        if (!sampleUrl || this.isSampleRequested || !audio.getContext()) return;
+        
+        this.isSampleRequested = true;
+        this.sample = await audio.loadSample(sampleUrl);
+        
+        if (!this.sample) {
+            console.warn('⚠️ Куранты будут синтезированы');
+        }
+    }
+    
+    /**
+     * @method reset
+     * @description Отменяет запланированные удары
+     */
+    reset() {
+        this.voices.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Источник еще не запускался или уже остановлен
+            }
+        });
+        
+        this.voices.clear();
+        this.scheduledStrokes.clear();
+    }
+    
+    /**
+     * @method destroy
+     * @description Останавливает звук и отписывается от событий
+     */
+    destroy() {
+        this.reset();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
\ No newline at end of file
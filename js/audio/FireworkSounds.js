@@ -0,0 +1,285 @@
+import { EventBus } from '../core/EventBus.js';
+
+/**
+ * @file FireworkSounds.js
+ * @class FireworkSounds
+ * @description Синтезированные звуки фейерверков: свист при запуске, хлопок и треск при взрыве
+ */
+
+export class FireworkSounds {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки звуков
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            bus: null,
+            audio: null,
+            // Ограничение одновременно звучащих голосов, чтобы залпы не перегружали выход
+            maxVoices: 12,
+            volume: 0.6,
+            whistleChance: 0.5,
+            crackleChance: 0.6,
+            // Размер взрыва, которому соответствует полная громкость
+            referenceSize: 120
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.activeVoices = 0;
+        this.noiseBuffer = null;
+        this.unsubscribers = [];
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Подписывается на запуски и взрывы фейерверков
+     */
+    initialize() {
+        const { bus, audio } = this.settings;
+        
+        if (!bus || !audio) {
+            console.error('❌ Для звуков фейерверков нужны шина событий и аудиодвижок');
+            return;
+        }
+        
+        this.unsubscribers.push(
+            bus.on(EventBus.EVENTS.FIREWORK_LAUNCH, (payload) => this.handleLaunch(payload)),
+            bus.on(EventBus.EVENTS.FIREWORK_EXPLODE, (payload) => this.handleExplode(payload))
+        );
+    }
+    
+    /**
+     * @method getContext
+     * @description Возвращает аудиоконтекст, если звук разрешен и включен
+     * @returns {AudioContext|null}
+     */
+    getContext() {
+        const { audio } = this.settings;
+        return audio.isMuted() ? null : audio.getContext();
+    }
+    
+    /**
+     * @method handleLaunch
+     * @description Свист взлетающей ракеты
+     * @param {Object} payload - { x, width }
+     */
+    handleLaunch({ x, width }) {
+        const context = this.getContext();
+        
+        if (!context || Math.random() > this.settings.whistleChance) return;
+        
+        const output = this.createOutput(context, this.getPan(x, width), 0.15);
+        if (!output) return;
+        
+        const time = context.currentTime;
+        const duration = 0.8 + Math.random() * 0.6;
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(700 + Math.random() * 300, time);
+        oscillator.frequency.exponentialRampToValueAtTime(2000 + Math.random() * 800, time + duration);
+        
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(1, time + 0.1);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        
+        oscillator.connect(envelope);
+        envelope.connect(output);
+        
+        this.trackVoice(oscillator);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+    
+    /**
+     * @method handleExplode
+     * @description Хлопок взрыва и последующий треск
+     * @param {Object} payload - { x, width, size }
+     */
+    handleExplode({ x, width, size }) {
+        const context = this.getContext();
+        if (!context) return;
+        
+        const pan = this.getPan(x, width);
+        const scale = Math.min(Math.max(size / this.settings.referenceSize, 0.3), 1.5);
+        
+        this.playBoom(context, pan, scale);
+        
+        if (Math.random() < this.settings.crackleChance) {
+            this.playCrackle(context, pan, scale);
+        }
+    }
+    
+    /**
+     * @method playBoom
+     * @description Низкочастотный хлопок: фильтрованный шум и падающий тон
+     * @param {AudioContext} context - Аудиоконтекст
+     * @param {number} pan - Панорама от -1 до 1
+     * @param {number} scale - Относительный размер взрыва
+     */
+    playBoom(context, pan, scale) {
+        const output = this.createOutput(context, pan, 0.8 * scale);
+        if (!output) return;
+        
+        const time = context.currentTime;
+        const duration = 0.6 + 0.6 * scale;
+        
+        const noise = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const noiseEnvelope = context.createGain();
+        
+        noise.buffer = this.getNoiseBuffer(context);
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(900, time);
+        filter.frequency.exponentialRampToValueAtTime(120, time + duration);
+        
+        noiseEnvelope.gain.setValueAtTime(1, time);
+        noiseEnvelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        
+        noise.connect(filter);
+        filter.connect(noiseEnvelope);
+        noiseEnvelope.connect(output);
+        
+        // Низкий удар придает хлопку вес
+        const thump = context.createOscillator();
+        const thumpEnvelope = context.createGain();
+        
+        thump.frequency.setValueAtTime(110, time);
+        thump.frequency.exponentialRampToValueAtTime(40, time + 0.3);
+        thumpEnvelope.gain.setValueAtTime(0.8, time);
+        thumpEnvelope.gain.exponentialRampToValueAtTime(0.001, time + 0.35);
+        
+        thump.connect(thumpEnvelope);
+        thumpEnvelope.connect(output);
+        
+        this.trackVoice(noise);
+        noise.start(time);
+        noise.stop(time + duration);
+        thump.start(time);
+        thump.stop(time + 0.35);
+    }
+    
+    /**
+     * @method playCrackle
+     * @description Треск догорающих звездочек: короткие щелчки высокочастотного шума
+     * @param {AudioContext} context - Аудиоконтекст
+     * @param {number} pan - Панорама от -1 до 1
+     * @param {number} scale - Относительный размер взрыва
+     */
+    playCrackle(context, pan, scale) {
+        const output = this.createOutput(context, pan, 0.25 * scale);
+        if (!output) return;
+        
+        const start = context.currentTime + 0.25;
+        const duration = 0.6 + Math.random() * 0.6;
+        const count = Math.round(15 + 25 * scale);
+        
+        const noise = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const envelope = context.createGain();
+        
+        noise.buffer = this.getNoiseBuffer(context);
+        filter.type = 'highpass';
+        filter.frequency.value = 3000;
+        envelope.gain.setValueAtTime(0, start);
+        
+        // Случайные короткие импульсы громкости на одном источнике шума
+        for (let i = 0; i < count; i++) {
+            const time = start + Math.random() * duration;
+            envelope.gain.setValueAtTime(Math.random() * 0.7 + 0.3, time);
+            envelope.gain.setTargetAtTime(0, time + 0.002, 0.008);
+        }
+        
+        noise.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(output);
+        
+        this.trackVoice(noise);
+        noise.start(start);
+        noise.stop(start + duration + 0.1);
+    }
+    
+    /**
+     * @method createOutput
+     * @description Создает выход голоса с громкостью и панорамой или null при превышении лимита
+     * @param {AudioContext} context - Аудиоконтекст
+     * @param {number} pan - Панорама от -1 до 1
+     * @param {number} volume - Громкость голоса
+     * @returns {AudioNode|null}
+     */
+    createOutput(context, pan, volume) {
+        if (this.activeVoices >= this.settings.maxVoices) return null;
+        
+        const gain = context.createGain();
+        gain.gain.value = volume * this.settings.volume;
+        
+        if (typeof context.createStereoPanner === 'function') {
+            const panner = context.createStereoPanner();
+            panner.pan.value = pan;
+            gain.connect(panner);
+            panner.connect(this.settings.audio.getDestination());
+        } else {
+            gain.connect(this.settings.audio.getDestination());
+        }
+        
+        return gain;
+    }
+    
+    /**
+     * @method trackVoice
+     * @description Учитывает голос до окончания звучания
+     * @param {AudioScheduledSourceNode} source - Основной источник голоса
+     */
+    trackVoice(source) {
+        this.activeVoices++;
+        source.onended = () => {
+            this.activeVoices = Math.max(this.activeVoices - 1, 0);
+        };
+    }
+    
+    /**
+     * @method getPan
+     * @description Переводит координату на экране в стереопанораму
+     * @param {number} x - X координата
+     * @param {number} width - Ширина холста
+     * @returns {number} - От -0.9 до 0.9
+     */
+    getPan(x, width) {
+        if (!width) return 0;
+        
+        const pan = (x / width) * 2 - 1;
+        return Math.min(Math.max(pan, -1), 1) * 0.9;
+    }
+    
+    /**
+     * @method getNoiseBuffer
+     * @description Возвращает общий буфер белого шума
+     * @param {AudioContext} context - Аудиоконтекст
+     * @returns {AudioBuffer}
+     */
+    getNoiseBuffer(context) {
+        if (!this.noiseBuffer) {
+            const length = context.sampleRate * 2;
+            this.noiseBuffer = context.createBuffer(1, length, context.sampleRate);
+            
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        
+        return this.noiseBuffer;
+    }
+    
+    /**
+     * @method destroy
+     * @description Отписывается от событий
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
\ No newline at end of file
@@ -1,8 +1,25 @@
 import { Countdown } from './Countdown.js';
+import { TimeSync } from './TimeSync.js';
+import { EventConfig } from './EventConfig.js';
+import { EventBus } from './EventBus.js';
+import { MilestoneSchedule } from './MilestoneSchedule.js';
 import { FactsManager } from './FactsManager.js';
+import { Random } from './Random.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { AudioEngine } from '../audio/AudioEngine.js';
+import { Chimes } from '../audio/Chimes.js';
+import { FireworkSounds } from '../audio/FireworkSounds.js';
 import { Modal } from '../ui/Modal.js';
 import { Animations } from '../ui/Animations.js';
+import { Banner } from '../ui/Banner.js';
+import { FinalCountdown } from '../ui/FinalCountdown.js';
+import { TimezonePanel } from '../ui/TimezonePanel.js';
+import { NewYearWave } from '../ui/NewYearWave.js';
+import { PerformanceOverlay } from '../ui/PerformanceOverlay.js';
+import { SoundControls } from '../ui/SoundControls.js';
+import { SnowControls } from '../ui/SnowControls.js';
 import { Fireworks } from '../effects/Fireworks.js';
+import { FireworkShow } from '../effects/FireworkShow.js';
 import { Snowflakes } from '../effects/Snowflakes.js';
 import { Particles } from '../effects/Particles.js';
 
@@ -19,9 +36,39 @@ export class App {
     /**
      * @constructor
      * @description Инициализирует все компоненты приложения
+     * @param {Object} options - Настройки приложения
      */
-    constructor() {
+    constructor(options = {}) {
+        this.defaults = {
+            // Настройки TimeSync, чтобы сверять часы с сервером; по умолчанию выключено
+            // и включается параметром ?sync в адресе страницы
+            timeSync: false,
+            celebrationBurstInterval: 5000,
+            // Сколько салют работает после залпа в честь полуночи в очередном поясе, мс
+            zoneBurstDuration: 6000,
+            // Расписание эффектов последнего часа (см. MilestoneSchedule.DEFAULT_SCHEDULE)
+            milestoneSchedule: MilestoneSchedule.DEFAULT_SCHEDULE,
+            // Сценарий салюта после полуночи или false для случайных залпов
+            fireworkShow: FireworkShow.MIDNIGHT_SHOW,
+            // Настройки AudioEngine
+            audio: {},
+            // Настройки Chimes или false, чтобы отключить бой курантов
+            chimes: {},
+            // Зерно случайных эффектов; по умолчанию берется из ?seed=... или выбирается случайно
+            seed: null,
+            // Настройки QualityGovernor или false, чтобы не подстраивать эффекты под FPS
+            quality: {}
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.bus = new EventBus();
+        this.random = null;
         this.components = {};
+        this.clock = null;
+        this.eventConfig = null;
+        this.celebrationIntervalId = null;
+        this.zoneBurstTimeoutId = null;
+        this.defaultSubheader = null;
         this.isInitialized = false;
         
         this.logWelcomeMessage();
@@ -36,17 +83,69 @@ export class App {
         if (this.isInitialized) return;
         
         try {
+            // Произвольное событие из адреса страницы вместо Нового Года
+            this.eventConfig = EventConfig.fromLocation();
+            this.random = this.createRandom();
+            
             // Инициализация компонентов
-            this.components.countdown = new Countdown();
-            this.components.factsManager = new FactsManager();
-            this.components.modal = new Modal();
-            this.components.animations = new Animations();
+            const clock = this.clock = this.createClock();
+            this.components.countdown = new Countdown({
+                clock,
+                bus: this.bus,
+                milestones: MilestoneSchedule.toMilestones(this.settings.milestoneSchedule),
+                ...(this.eventConfig && {
+                    targetDate: this.eventConfig.targetDate,
+                    congratulation: this.eventConfig.message
+                })
+            });
+            this.components.factsManager = new FactsManager({ random: this.random.fork('facts') });
+            this.components.modal = new Modal({ bus: this.bus });
+            this.components.animations = new Animations({ random: this.random.fork('animations') });
+            this.components.banner = new Banner();
+            this.components.milestones = new MilestoneSchedule({
+                bus: this.bus,
+                schedule: this.settings.milestoneSchedule,
+                getComponent: (name) => this.getComponent(name)
+            });
+            this.components.finalCountdown = new FinalCountdown({
+                bus: this.bus,
+                getComponent: (name) => this.getComponent(name)
+            });
+            this.components.audio = new AudioEngine(this.settings.audio);
+            this.components.soundControls = new SoundControls({ audio: this.components.audio });
+            this.components.fireworkSounds = new FireworkSounds({
+                bus: this.bus,
+                audio: this.components.audio
+            });
+            
+            if (this.eventConfig) {
+                this.applyEventConfig(this.eventConfig);
+            } else {
+                this.components.timezonePanel = new TimezonePanel({
+                    countdown: this.components.countdown,
+                    clock
+                });
+                this.components.newYearWave = new NewYearWave({
+                    clock,
+                    bus: this.bus
+                });
+                
+                // Куранты бьют только перед Новым Годом
+                if (this.settings.chimes !== false) {
+                    this.components.chimes = new Chimes({
+                        ...this.settings.chimes,
+                        bus: this.bus,
+                        audio: this.components.audio
+                    });
+                }
+            }
             
             // Инициализация визуальных эффектов
             await this.initializeEffects();
             
             // Настройка обработчиков событий
             this.setupEventListeners();
+            this.setupBusListeners();
             
             // Запуск приложения
             this.start();
@@ -59,6 +158,89 @@ export class App {
         }
     }
     
+    /**
+     * @method applyEventConfig
+     * @description Подстраивает заголовки страницы под произвольное событие
+     * @param {Object} config - Настройки события из EventConfig
+     */
+    applyEventConfig(config) {
+        const header = document.querySelector('h1');
+        const subheader = document.querySelector('h2');
+        const countdown = document.querySelector('.countdown');
+        const date = config.targetDate.toLocaleDateString('ru-RU', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+        
+        document.title = `${config.title} | Обратный отсчет`;
+        
+        if (header) {
+            header.textContent = config.title;
+            header.setAttribute('aria-label', config.title);
+        }
+        
+        if (subheader) {
+            subheader.textContent = `До ${date} осталось`;
+        }
+        
+        if (countdown) {
+            countdown.setAttribute('aria-label', `Обратный отсчет: ${config.title}`);
+        }
+        
+        // Панели часовых поясов имеют смысл только для Нового Года
+        document.querySelectorAll('#timezone-panel, .new-year-wave-panel').forEach(panel => {
+            panel.hidden = true;
+        });
+    }
+    
+    /**
+     * @method createRandom
+     * @description Создает общий генератор случайных чисел; каждый эффект получает
+     * собственную ветку, поэтому одно зерно дает одну и ту же картину
+     * @returns {Random}
+     */
+    createRandom() {
+        const random = this.settings.seed !== null
+            ? new Random(Random.hashSeed(this.settings.seed))
+            : Random.fromLocation();
+        
+        console.log(`🎲 Зерно случайных эффектов: ${random.getSeed()} (добавьте ?seed=${random.getSeed()}, чтобы повторить)`);
+        return random;
+    }
+    
+    /**
+     * @method createClock
+     * @description Создает источник текущего времени для счетчиков
+     * @returns {Object} - Объект с методом now()
+     */
+    createClock() {
+        const options = this.settings.timeSync
+            || (EventConfig.readParams(window.location).has('sync') ? {} : null);
+        
+        if (!options) {
+            return { now: () => Date.now() };
+        }
+        
+        this.components.timeSync = new TimeSync(options);
+        return this.components.timeSync;
+    }
+    
+    /**
+     * @method synchronizeTime
+     * @description Синхронизирует часы в фоне и пересчитывает счетчик
+     */
+    async synchronizeTime() {
+        const timeSync = this.components.timeSync;
+        if (!timeSync) return;
+        
+        await timeSync.sync();
+        
+        if (timeSync.isSynced) {
+            this.components.countdown.resync();
+        }
+    }
+    
     /**
      * @method initializeEffects
      * @description Инициализирует все визуальные эффекты
@@ -67,12 +249,64 @@ export class App {
     async initializeEffects() {
         // Инициализация в фоновом режиме для производительности
         setTimeout(() => {
-            this.components.fireworks = new Fireworks();
-            this.components.snowflakes = new Snowflakes();
-            this.components.particles = new Particles();
+            this.components.fireworks = new Fireworks({
+                bus: this.bus,
+                random: this.random.fork('fireworks')
+            });
+            
+            if (this.settings.fireworkShow) {
+                this.components.fireworkShow = this.components.fireworks.loadShow(this.settings.fireworkShow, {
+                    clock: this.clock
+                });
+            }
+            
+            // Страница открыта во время празднования: фаза наступила раньше, чем создан салют,
+            // поэтому сценарий подхватывается здесь с нужного места
+            const { countdown } = this.components;
+            
+            if (countdown && countdown.getPhase() === 'celebration') {
+                this.playFireworkShow({ year: countdown.getTargetYear() });
+            }
+            
+            this.components.snowflakes = new Snowflakes({
+                bus: this.bus,
+                random: this.random.fork('snowflakes')
+            });
+            this.components.snowControls = new SnowControls({
+                bus: this.bus,
+                snowflakes: this.components.snowflakes
+            });
+            this.components.particles = new Particles({ random: this.random.fork('particles') });
+            
+            this.initializeQuality();
         }, 500);
     }
     
+    /**
+     * @method initializeQuality
+     * @description Запускает подстройку эффектов под частоту кадров и отладочную панель (?fps)
+     */
+    initializeQuality() {
+        if (this.settings.quality === false) return;
+        
+        const quality = this.components.quality = new QualityGovernor({
+            ...this.settings.quality,
+            bus: this.bus,
+            getComponent: (name) => this.getComponent(name)
+        });
+        
+        // Начальный уровень ниже high сразу применяется к созданным эффектам
+        quality.apply();
+        quality.start();
+        
+        if (EventConfig.readParams(window.location).has('fps')) {
+            this.components.performanceOverlay = new PerformanceOverlay({
+                bus: this.bus,
+                tier: quality.getTier()
+            });
+        }
+    }
+    
     /**
      * @method setupEventListeners
      * @description Настраивает обработчики событий
@@ -90,11 +324,40 @@ export class App {
         });
     }
     
+    /**
+     * @method setupBusListeners
+     * @description Связывает компоненты через шину событий
+     */
+    setupBusListeners() {
+        const { EVENTS } = EventBus;
+        
+        this.bus.on(EVENTS.COUNTDOWN_PHASE, (payload) => this.handlePhaseChange(payload));
+        
+        this.bus.on(EVENTS.COUNTDOWN_ZERO, ({ late }) => {
+            // Праздничная анимация только для полуночи, встреченной на странице
+            if (!late && this.components.animations) {
+                this.components.animations.celebrateNewYear();
+            }
+        });
+        
+        this.bus.on(EVENTS.MODAL_OPEN, () => {
+            // Запуск фейерверков при показе факта
+            if (this.components.fireworks) {
+                this.components.fireworks.spawnBurst(5);
+            }
+        });
+        
+        this.bus.on(EVENTS.WAVE_ZONE_MIDNIGHT, (zone) => this.handleZoneMidnight(zone));
+    }
+    
     /**
      * @method handleCTAClick
      * @description Обрабатывает клик по основной кнопке
      */
     handleCTAClick() {
+        // Клик - жест пользователя, после которого браузер разрешает звук
+        this.components.audio.unlock();
+        
         // Анимация кнопки
         if (this.components.animations) {
             this.components.animations.animateButtonClick();
@@ -106,12 +369,174 @@ export class App {
         // Отображение модального окна
         setTimeout(() => {
             this.components.modal.show(fact);
+        }, 200);
+    }
+    
+    /**
+     * @method handleZoneMidnight
+     * @description Запускает небольшой салют, когда полночь наступает в очередном поясе
+     * @param {Object} zone - Пояс, встретивший Новый Год
+     */
+    handleZoneMidnight(zone) {
+        const { fireworks } = this.components;
+        
+        // В скрытой вкладке ракеты не видны, остались бы только звуки запуска
+        if (!fireworks || document.hidden) return;
+        
+        // Восточные пояса встречают Новый Год за часы до последнего часа отсчета,
+        // когда салют еще остановлен: запускаем его на время залпа
+        if (!fireworks.isRunning) {
+            fireworks.start();
+        }
+        
+        fireworks.spawnBurst(3);
+        
+        clearTimeout(this.zoneBurstTimeoutId);
+        this.zoneBurstTimeoutId = setTimeout(() => {
+            this.zoneBurstTimeoutId = null;
             
-            // Запуск фейерверков при показе факта
-            if (this.components.fireworks) {
-                this.components.fireworks.spawnBurst(5);
+            if (!this.isFireworksTime()) {
+                fireworks.stop();
             }
-        }, 200);
+        }, this.settings.zoneBurstDuration);
+    }
+    
+    /**
+     * @method isFireworksTime
+     * @description Проверяет, должен ли салют работать постоянно: в последний час
+     * отсчета его запускает расписание вех, после полуночи - празднование
+     * @returns {boolean}
+     */
+    isFireworksTime() {
+        const { countdown } = this.components;
+        if (!countdown) return false;
+        
+        const phase = countdown.getPhase();
+        
+        return phase === 'celebration'
+            || (phase === 'countdown' && countdown.getTimeDiff() <= 60 * 60 * 1000);
+    }
+    
+    /**
+     * @method handlePhaseChange
+     * @description Переключает состояние страницы между отсчетом и празднованием
+     * @param {Object} details - { phase, previous, year, message }
+     */
+    handlePhaseChange(details) {
+        const { phase } = details;
+        const subheader = document.querySelector('h2');
+        
+        if (subheader && this.defaultSubheader === null) {
+            this.defaultSubheader = subheader.textContent;
+        }
+        
+        if (phase === 'celebration') {
+            document.body.classList.add('celebrating');
+            if (subheader) subheader.textContent = details.message;
+            
+            // Сценарий сам пишет год в небе, без него надпись делает первый залп
+            const isShowPlaying = this.playFireworkShow(details);
+            this.startCelebration(isShowPlaying ? null : (this.eventConfig ? '🎉' : String(details.year)));
+        } else if (phase === 'finished') {
+            this.stopCelebration();
+            if (subheader) subheader.textContent = details.message;
+        } else {
+            this.stopCelebration();
+            document.body.classList.remove('celebrating');
+            if (subheader) subheader.textContent = this.defaultSubheader;
+            
+            this.updateYearText(details.year);
+        }
+    }
+    
+    /**
+     * @method startCelebration
+     * @description Запускает непрерывный салют на время окна празднования
+     * @param {string|null} text - Надпись первого залпа
+     */
+    startCelebration(text = null) {
+        if (this.celebrationIntervalId) return;
+        
+        let caption = text;
+        
+        const launch = () => {
+            const fireworks = this.components.fireworks;
+            
+            // Эффекты создаются с задержкой, поэтому проверяем на каждом залпе
+            if (!fireworks) return;
+            
+            if (!fireworks.isRunning && !document.hidden) {
+                fireworks.start();
+            }
+            
+            // Пока идет сценарий, дополнительные залпы не нужны
+            if (this.components.fireworkShow && this.components.fireworkShow.isPlaying) return;
+            
+            // Надпись только в первом залпе, дальше обычный салют
+            fireworks.massiveCelebration(caption);
+            caption = null;
+        };
+        
+        launch();
+        this.celebrationIntervalId = setInterval(launch, this.settings.celebrationBurstInterval);
+    }
+    
+    /**
+     * @method playFireworkShow
+     * @description Запускает сценарий салюта, отсчитывая его от момента нуля
+     * @param {Object} details - { year }
+     * @returns {boolean} - Играет ли сценарий
+     */
+    playFireworkShow(details) {
+        const show = this.components.fireworkShow;
+        
+        // Сценарий написан для Нового Года, для произвольного события остаются обычные залпы
+        if (!show || this.eventConfig) return false;
+        
+        show.setVariables({ year: details.year });
+        
+        // При открытии страницы после полуночи шоу продолжается с нужного места
+        return show.playAt(this.components.countdown.targetDate.getTime());
+    }
+    
+    /**
+     * @method stopCelebration
+     * @description Останавливает салют после окна празднования
+     */
+    stopCelebration() {
+        if (this.components.fireworkShow) {
+            this.components.fireworkShow.stop();
+        }
+        
+        if (!this.celebrationIntervalId) return;
+        
+        clearInterval(this.celebrationIntervalId);
+        this.celebrationIntervalId = null;
+        
+        if (this.components.fireworks) {
+            this.components.fireworks.stop();
+        }
+    }
+    
+    /**
+     * @method updateYearText
+     * @description Обновляет год в заголовках страницы
+     * @param {number} year - Год, до которого идет отсчет
+     */
+    updateYearText(year) {
+        // В режиме произвольного события заголовки задает EventConfig
+        if (this.eventConfig || !year) return;
+        
+        document.querySelectorAll('[data-year]').forEach(element => {
+            element.textContent = year;
+        });
+        
+        const header = document.querySelector('h1');
+        if (header && header.hasAttribute('aria-label')) {
+            header.setAttribute('aria-label', header.getAttribute('aria-label').replace(/\d{4}/, year));
+        }
+        
+        document.title = document.title.replace(/\d{4}/, year);
     }
     
     /**
@@ -137,8 +562,21 @@ export class App {
      * @description Запускает основную логику приложения
      */
     start() {
+        // Год в заголовках берется из цели счетчика
+        this.updateYearText(this.components.countdown.getTargetYear());
+        
         // Запуск счетчика
         this.components.countdown.start();
+        if (this.components.timezonePanel) {
+            this.components.timezonePanel.start();
+        }
+        
+        if (this.components.newYearWave) {
+            this.components.newYearWave.start();
+        }
+        
+        // Синхронизация не блокирует запуск: до ее окончания используются часы устройства
+        this.synchronizeTime();
         
         // Запуск анимаций интерфейса
         this.components.animations.initialize();
@@ -161,6 +599,15 @@ export class App {
             'color: #00ff00; font-size: 12px; font-style: italic;');
     }
     
+    /**
+     * @method getBus
+     * @description Возвращает шину событий приложения
+     * @returns {EventBus}
+     */
+    getBus() {
+        return this.bus;
+    }
+    
     /**
      * @method getComponent
      * @description Получает компонент по имени
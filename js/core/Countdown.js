@@ -1,3 +1,7 @@
+import { TimeZones } from './TimeZones.js';
+import { Ticker } from './Ticker.js';
+import { EventBus } from './EventBus.js';
+
 /**
  * @file Countdown.js
  * @class Countdown
@@ -11,8 +15,18 @@ export class Countdown {
      */
     constructor(options = {}) {
         this.defaults = {
-            targetDate: `January 1, ${new Date().getFullYear() + 1} 00:00:00`,
+            targetDate: null,
+            timezone: null,
             updateInterval: 1000,
+            clock: null,
+            congratulation: '🎉 С НОВЫМ {year} ГОДОМ! 🎉',
+            celebrationDuration: 60 * 60 * 1000,
+            bus: null,
+            milestones: [
+                { name: 'hour_to_new_year', remaining: 60 * 60 * 1000 },
+                { name: 'ten_minutes_to_new_year', remaining: 10 * 60 * 1000 },
+                { name: 'one_minute_to_new_year', remaining: 60 * 1000 }
+            ],
             elements: {
                 days: 'days',
                 hours: 'hours',
@@ -22,12 +36,148 @@ export class Countdown {
         };
         
         this.settings = { ...this.defaults, ...options };
-        this.intervalId = null;
-        this.targetDate = new Date(this.settings.targetDate);
+        this.hasCustomTarget = Boolean(options.targetDate);
+        this.clock = this.settings.clock || { now: () => Date.now() };
+        this.bus = this.settings.bus;
+        this.ticker = null;
+        this.lastDiff = null;
+        this.phase = 'countdown';
+        this.targetDate = this.resolveTargetDate();
         
         this.cacheElements();
     }
     
+    /**
+     * @method resolveTargetDate
+     * @description Определяет целевую дату с учетом часового пояса и окна празднования
+     * @returns {Date}
+     */
+    resolveTargetDate() {
+        const { timezone } = this.settings;
+        
+        if (timezone && !TimeZones.isValid(timezone)) {
+            console.warn(`⚠️ Неизвестный часовой пояс "${timezone}", используется местное время`);
+            this.settings.timezone = null;
+        }
+        
+        // Явно заданная дата имеет приоритет над поясом
+        if (this.hasCustomTarget) {
+            return new Date(this.settings.targetDate);
+        }
+        
+        const now = new Date(this.clock.now());
+        const next = this.settings.timezone
+            ? TimeZones.getNextNewYear(this.settings.timezone, now)
+            : new Date(now.getFullYear() + 1, 0, 1);
+        const previous = this.settings.timezone
+            ? TimeZones.getZonedMidnight(this.getYearOf(next) - 1, 0, 1, this.settings.timezone)
+            : new Date(now.getFullYear(), 0, 1);
+        
+        // Пока идет окно празднования, целью остается только что наступивший год
+        return now - previous < this.settings.celebrationDuration ? previous : next;
+    }
+    
+    /**
+     * @method getYearOf
+     * @description Возвращает год даты в часовом поясе счетчика
+     * @param {Date} date - Дата
+     * @returns {number}
+     */
+    getYearOf(date) {
+        return this.settings.timezone
+            ? TimeZones.getZonedParts(date, this.settings.timezone).year
+            : date.getFullYear();
+    }
+    
+    /**
+     * @method getTargetYear
+     * @description Возвращает год, до которого идет отсчет
+     * @returns {number}
+     */
+    getTargetYear() {
+        return this.getYearOf(this.targetDate);
+    }
+    
+    /**
+     * @method getPhase
+     * @description Возвращает текущую фазу: countdown, celebration или finished
+     * @returns {string}
+     */
+    getPhase() {
+        return this.phase;
+    }
+    
+    /**
+     * @method setPhase
+     * @description Меняет фазу и сообщает о ней в шину событий
+     * @param {string} phase - Новая фаза
+     */
+    setPhase(phase) {
+        if (this.phase === phase) return;
+        
+        const previous = this.phase;
+        this.phase = phase;
+        
+        this.emit(EventBus.EVENTS.COUNTDOWN_PHASE, {
+            phase,
+            previous,
+            year: this.getTargetYear(),
+            message: this.getCongratulation()
+        });
+    }
+    
+    /**
+     * @method emit
+     * @description Отправляет событие, если счетчик подключен к шине
+     * @param {string} eventName - Имя события
+     * @param {Object} payload - Данные события
+     */
+    emit(eventName, payload) {
+        if (this.bus) {
+            this.bus.emit(eventName, payload);
+        }
+    }
+    
+    /**
+     * @method setTimezone
+     * @description Переключает счетчик на полночь в другом часовом поясе
+     * @param {string|null} timezone - IANA-имя пояса или null для местного времени
+     */
+    setTimezone(timezone) {
+        this.settings.timezone = timezone || null;
+        this.targetDate = this.resolveTargetDate();
+        
+        // Вехи нового пояса не должны срабатывать из-за скачка цели
+        this.lastDiff = null;
+        
+        if (this.ticker) {
+            this.ticker.setOffset(this.targetDate.getTime());
+            this.update();
+        }
+    }
+    
+    /**
+     * @method resync
+     * @description Пересчитывает отсчет после коррекции часов
+     */
+    resync() {
+        this.targetDate = this.resolveTargetDate();
+        
+        if (this.ticker) {
+            this.ticker.schedule();
+            this.update();
+        }
+    }
+    
+    /**
+     * @method getTimezone
+     * @description Возвращает текущий часовой пояс счетчика
+     * @returns {string|null}
+     */
+    getTimezone() {
+        return this.settings.timezone;
+    }
+    
     /**
      * @method cacheElements
      * @description Кэширует DOM-элементы
@@ -45,15 +195,15 @@ export class Countdown {
      * @description Запускает счетчик
      */
     start() {
-        if (this.intervalId) return;
+        if (this.ticker) return;
         
-        // Первое обновление
-        this.update();
-        
-        // Запуск интервала
-        this.intervalId = setInterval(() => {
-            this.update();
-        }, this.settings.updateInterval);
+        // Тики выравниваются по целевой дате, чтобы секунды менялись ровно на границе
+        this.ticker = new Ticker(() => this.update(), {
+            interval: this.settings.updateInterval,
+            offset: this.targetDate.getTime(),
+            clock: this.clock
+        });
+        this.ticker.start();
         
         console.log('⏱️ Счетчик запущен');
     }
@@ -63,9 +213,9 @@ export class Countdown {
      * @description Останавливает счетчик
      */
     stop() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        if (this.ticker) {
+            this.ticker.stop();
+            this.ticker = null;
             console.log('⏱️ Счетчик остановлен');
         }
     }
@@ -75,23 +225,27 @@ export class Countdown {
      * @description Обновляет значения счетчика
      */
     update() {
-        const now = new Date();
-        const diff = this.targetDate - now;
+        const diff = this.getTimeDiff();
+        
+        // Специальные эффекты при приближении Нового Года
+        this.checkSpecialMoments(diff);
         
         // Проверка, не наступил ли Новый Год
         if (diff <= 0) {
-            this.handleNewYear();
+            this.handleNewYear(diff);
             return;
         }
         
+        // Цель снова в будущем (смена пояса, коррекция часов, новый год)
+        this.setPhase('countdown');
+        
         // Расчет временных единиц
         const time = this.calculateTimeUnits(diff);
         
         // Обновление DOM
         this.updateDisplay(time);
         
-        // Специальные эффекты при приближении Нового Года
-        this.checkSpecialMoments(time);
+        this.emit(EventBus.EVENTS.COUNTDOWN_TICK, { diff, time });
     }
     
     /**
@@ -154,72 +308,107 @@ export class Countdown {
     
     /**
      * @method checkSpecialMoments
-     * @description Проверяет особые моменты (час до, 10 минут и т.д.)
-     * @param {Object} time - Объект с временными единицами
+     * @description Проверяет пересечение порогов особых моментов (час до, 10 минут и т.д.)
+     * @param {number} diff - Оставшееся время в миллисекундах
      */
-    checkSpecialMoments(time) {
-        // Час до Нового Года
-        if (time.days === 0 && time.hours === 1 && time.minutes === 0 && time.seconds === 0) {
-            this.triggerSpecialEvent('hour_to_new_year');
-        }
+    checkSpecialMoments(diff) {
+        const previousDiff = this.lastDiff;
+        this.lastDiff = diff;
         
-        // 10 минут до Нового Года
-        if (time.days === 0 && time.hours === 0 && time.minutes === 10 && time.seconds === 0) {
-            this.triggerSpecialEvent('ten_minutes_to_new_year');
-        }
+        // При первом обновлении пороги, пройденные до запуска, не срабатывают
+        if (previousDiff === null) return;
         
-        // 1 минута до Нового Года
-        if (time.days === 0 && time.hours === 0 && time.minutes === 1 && time.seconds === 0) {
-            this.triggerSpecialEvent('one_minute_to_new_year');
-        }
+        // Порог считается пройденным, даже если тики были пропущены
+        this.settings.milestones
+            .filter(({ remaining }) => previousDiff > remaining && diff <= remaining)
+            .sort((a, b) => b.remaining - a.remaining)
+            .forEach(({ name, remaining }) => this.triggerSpecialEvent(name, remaining));
     }
     
     /**
      * @method triggerSpecialEvent
      * @description Запускает специальные события
      * @param {string} eventName - Название события
+     * @param {number} remaining - Порог в миллисекундах до цели
      */
-    triggerSpecialEvent(eventName) {
+    triggerSpecialEvent(eventName, remaining) {
         console.log(`🎯 Специальное событие: ${eventName}`);
         
-        // Можно добавить дополнительные эффекты
-        // Например, усилить фейерверки или изменить анимации
+        // Эффекты подписываются на веху через шину событий
+        this.emit(EventBus.EVENTS.COUNTDOWN_MILESTONE, { name: eventName, remaining });
     }
     
     /**
      * @method handleNewYear
-     * @description Обрабатывает наступление Нового Года
+     * @description Обрабатывает наступление Нового Года: празднование, затем переход к следующему году
+     * @param {number} diff - Разница до целевой даты (отрицательная после полуночи)
      */
-    handleNewYear() {
-        this.stop();
+    handleNewYear(diff = this.getTimeDiff()) {
+        // Окно празднования еще не закончилось
+        if (-diff < this.settings.celebrationDuration) {
+            if (this.phase !== 'celebration') {
+                this.showCongratulations();
+                this.setPhase('celebration');
+                
+                // late: полночь прошла до загрузки страницы или пока вкладка была скрыта
+                this.emit(EventBus.EVENTS.COUNTDOWN_ZERO, {
+                    year: this.getTargetYear(),
+                    message: this.getCongratulation(),
+                    late: -diff > this.settings.updateInterval * 2
+                });
+                
+                console.log(`🎆 ${this.getCongratulation()}`);
+            }
+            return;
+        }
         
-        // Показать поздравление
-        this.showCongratulations();
+        // Произвольное событие не повторяется: отсчет завершается
+        if (this.hasCustomTarget) {
+            this.showCongratulations();
+            this.setPhase('finished');
+            this.stop();
+            return;
+        }
+        
+        this.rollover();
+    }
+    
+    /**
+     * @method rollover
+     * @description Перенацеливает счетчик на следующий Новый Год
+     */
+    rollover() {
+        this.targetDate = this.resolveTargetDate();
+        this.lastDiff = null;
         
-        // Масштабные фейерверки
-        if (window.app && window.app.getComponent('fireworks')) {
-            window.app.getComponent('fireworks').massiveCelebration();
+        if (this.ticker) {
+            this.ticker.setOffset(this.targetDate.getTime());
         }
         
-        console.log('🎆 С НОВЫМ 2026 ГОДОМ! 🎆');
+        console.log(`📅 Отсчет до ${this.getTargetYear()} года`);
+        
+        this.update();
+    }
+    
+    /**
+     * @method getCongratulation
+     * @description Возвращает текст поздравления с подставленным годом
+     * @returns {string}
+     */
+    getCongratulation() {
+        return this.settings.congratulation.replace('{year}', this.getTargetYear());
     }
     
     /**
      * @method showCongratulations
-     * @description Показывает поздравление с Новым Годом
+     * @description Обнуляет счетчик на время празднования
      */
     showCongratulations() {
-        // Обновляем счетчик
         for (const element of Object.values(this.elements)) {
             if (element) {
                 element.textContent = '00';
             }
         }
-        
-        // Можно добавить всплывающее поздравление
-        setTimeout(() => {
-            alert('🎉 С НОВЫМ 2026 ГОДОМ! 🎉');
-        }, 1000);
     }
     
     /**
@@ -228,9 +417,16 @@ export class Countdown {
      * @returns {Object}
      */
     getRemainingTime() {
-        const now = new Date();
-        const diff = this.targetDate - now;
-        return this.calculateTimeUnits(diff);
+        return this.calculateTimeUnits(Math.max(0, this.getTimeDiff()));
+    }
+    
+    /**
+     * @method getTimeDiff
+     * @description Возвращает разницу до целевой даты в миллисекундах
+     * @returns {number}
+     */
+    getTimeDiff() {
+        return this.targetDate - this.clock.now();
     }
     
     /**
@@ -0,0 +1,175 @@
+/**
+ * @file EventBus.js
+ * @class EventBus
+ * @description Шина событий приложения для связи компонентов без глобальных ссылок
+ */
+
+export class EventBus {
+    /**
+     * @static
+     * @description Известные события приложения
+     * @type {Object<string, string>}
+     */
+    static EVENTS = Object.freeze({
+        COUNTDOWN_TICK: 'countdown:tick',
+        COUNTDOWN_MILESTONE: 'countdown:milestone',
+        COUNTDOWN_ZERO: 'countdown:zero',
+        COUNTDOWN_PHASE: 'countdown:phase',
+        MODAL_OPEN: 'modal:open',
+        MODAL_CLOSE: 'modal:close',
+        WAVE_ZONE_MIDNIGHT: 'wave:zone-midnight',
+        FIREWORK_LAUNCH: 'fireworks:launch',
+        FIREWORK_EXPLODE: 'fireworks:explode',
+        PERFORMANCE_SAMPLE: 'performance:sample',
+        QUALITY_CHANGE: 'performance:quality',
+        SNOW_INTENSITY: 'snow:intensity'
+    });
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки шины
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            strict: true,
+            debugMode: false
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.listeners = new Map();
+        this.knownEvents = new Set(Object.values(EventBus.EVENTS));
+    }
+    
+    /**
+     * @method register
+     * @description Добавляет пользовательское событие в список известных
+     * @param {string} eventName - Имя события в формате "область:действие"
+     */
+    register(eventName) {
+        this.knownEvents.add(eventName);
+    }
+    
+    /**
+     * @method on
+     * @description Подписывает обработчик на событие, "область:*" или "*"
+     * @param {string} eventName - Имя события или шаблон
+     * @param {Function} handler - Обработчик (payload, { event })
+     * @returns {Function} - Функция отписки
+     */
+    on(eventName, handler) {
+        if (typeof handler !== 'function') {
+            console.error(`❌ Обработчик события "${eventName}" должен быть функцией`);
+            return () => {};
+        }
+        
+        this.validate(eventName, true);
+        
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        
+        this.listeners.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
+    }
+    
+    /**
+     * @method once
+     * @description Подписывает обработчик на одно срабатывание
+     * @param {string} eventName - Имя события или шаблон
+     * @param {Function} handler - Обработчик
+     * @returns {Function} - Функция отписки
+     */
+    once(eventName, handler) {
+        const wrapper = (payload, meta) => {
+            this.off(eventName, wrapper);
+            handler(payload, meta);
+        };
+        
+        wrapper.original = handler;
+        return this.on(eventName, wrapper);
+    }
+    
+    /**
+     * @method off
+     * @description Отписывает обработчик; без обработчика снимает все подписки на событие
+     * @param {string} eventName - Имя события или шаблон
+     * @param {Function} handler - Обработчик
+     */
+    off(eventName, handler = null) {
+        const handlers = this.listeners.get(eventName);
+        if (!handlers) return;
+        
+        if (!handler) {
+            this.listeners.delete(eventName);
+            return;
+        }
+        
+        for (const listener of handlers) {
+            if (listener === handler || listener.original === handler) {
+                handlers.delete(listener);
+            }
+        }
+        
+        if (!handlers.size) {
+            this.listeners.delete(eventName);
+        }
+    }
+    
+    /**
+     * @method emit
+     * @description Отправляет событие всем подписчикам
+     * @param {string} eventName - Имя события
+     * @param {*} payload - Данные события
+     * @returns {number} - Количество вызванных обработчиков
+     */
+    emit(eventName, payload = {}) {
+        this.validate(eventName, false);
+        
+        const [scope] = eventName.split(':');
+        const handlers = [
+            ...(this.listeners.get(eventName) || []),
+            ...(this.listeners.get(`${scope}:*`) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+        
+        if (this.settings.debugMode) {
+            console.log(`📨 ${eventName}`, payload);
+        }
+        
+        // Ошибка одного подписчика не должна прерывать остальных
+        handlers.forEach(handler => {
+            try {
+                handler(payload, { event: eventName });
+            } catch (error) {
+                console.error(`❌ Ошибка в обработчике события "${eventName}":`, error);
+            }
+        });
+        
+        return handlers.length;
+    }
+    
+    /**
+     * @method validate
+     * @description Предупреждает об опечатках в именах событий
+     * @param {string} eventName - Имя события
+     * @param {boolean} allowWildcard - Разрешены ли шаблоны
+     */
+    validate(eventName, allowWildcard) {
+        if (!this.settings.strict) return;
+        
+        const isWildcard = eventName === '*' || eventName.endsWith(':*');
+        if (isWildcard && allowWildcard) return;
+        
+        if (!this.knownEvents.has(eventName)) {
+            console.warn(`⚠️ Неизвестное событие "${eventName}"`);
+        }
+    }
+    
+    /**
+     * @method clear
+     * @description Снимает все подписки
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
\ No newline at end of file
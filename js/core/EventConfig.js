@@ -0,0 +1,125 @@
+/**
+ * @file EventConfig.js
+ * @class EventConfig
+ * @description Чтение и проверка параметров произвольного события из адреса страницы
+ */
+
+export class EventConfig {
+    /**
+     * @static
+     * @description Заголовок события, если параметр title не передан
+     * @type {string}
+     */
+    static DEFAULT_TITLE = 'Событие';
+    
+    /**
+     * @static
+     * @description Максимальная длина заголовка
+     * @type {number}
+     */
+    static MAX_TITLE_LENGTH = 80;
+    
+    /**
+     * @static
+     * @description Максимальная длина текста поздравления
+     * @type {number}
+     */
+    static MAX_MESSAGE_LENGTH = 200;
+    
+    /**
+     * @static
+     * @method fromLocation
+     * @description Возвращает настройки события из ?to=...&title=... или #to=...&title=...
+     * @param {Location} location - Адрес страницы
+     * @returns {Object|null} - { targetDate, title, message } или null для режима Нового Года
+     */
+    static fromLocation(location = window.location) {
+        const params = EventConfig.readParams(location);
+        const rawDate = params.get('to');
+        
+        if (!rawDate) return null;
+        
+        const targetDate = EventConfig.parseDate(rawDate);
+        
+        if (!targetDate) {
+            console.warn(`⚠️ Некорректная дата события "${rawDate}", показывается отсчет до Нового Года`);
+            return null;
+        }
+        
+        const title = EventConfig.sanitizeText(params.get('title')) || EventConfig.DEFAULT_TITLE;
+        const message = EventConfig.sanitizeText(params.get('message'), EventConfig.MAX_MESSAGE_LENGTH) || `🎉 ${title}! 🎉`;
+        
+        return { targetDate, title, message };
+    }
+    
+    /**
+     * @static
+     * @method readParams
+     * @description Объединяет параметры запроса и хэша (параметры запроса приоритетнее)
+     * @param {Location} location - Адрес страницы
+     * @returns {URLSearchParams}
+     */
+    static readParams(location) {
+        const params = new URLSearchParams(location.search);
+        const hashParams = new URLSearchParams((location.hash || '').replace(/^#/, ''));
+        
+        for (const [key, value] of hashParams) {
+            if (!params.has(key)) {
+                params.set(key, value);
+            }
+        }
+        
+        return params;
+    }
+    
+    /**
+     * @static
+     * @method parseDate
+     * @description Разбирает дату в формате ISO 8601 (2026-03-08 или 2026-03-08T00:00)
+     * @param {string} value - Строка с датой
+     * @returns {Date|null}
+     */
+    static parseDate(value) {
+        // "+" в адресе декодируется как пробел, поэтому возвращаем его для смещения вида +03:00
+        const normalized = value.trim().replace(' ', '+');
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?(Z|[+-]\d{2}:\d{2})?$/.exec(normalized);
+        
+        if (!match) return null;
+        
+        const [, year, month, day, hours = '00', minutes = '00', seconds = '00', zone] = match;
+        
+        if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) return null;
+        
+        // Без явного смещения дата трактуется как местное время, в том числе для формата без часов
+        const date = zone
+            ? new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${zone}`)
+            : new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+        
+        if (Number.isNaN(date.getTime())) return null;
+        
+        // Отсекаем несуществующие даты вроде 2026-02-31, которые Date молча переносит
+        if (!zone && (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day))) {
+            return null;
+        }
+        
+        return date;
+    }
+    
+    /**
+     * @static
+     * @method sanitizeText
+     * @description Очищает текст из адреса от управляющих символов и ограничивает длину
+     * @param {string|null} value - Исходный текст
+     * @param {number} maxLength - Максимальная длина
+     * @returns {string}
+     */
+    static sanitizeText(value, maxLength = EventConfig.MAX_TITLE_LENGTH) {
+        if (!value) return '';
+        
+        return value
+            .replace(/[\u0000-\u001f\u007f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, maxLength);
+    }
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { Random } from './Random.js';
+
 /**
  * @file FactsManager.js
  * @class FactsManager
@@ -7,8 +9,11 @@
 export class FactsManager {
     /**
      * @constructor
+     * @param {Object} options - Настройки ({ random })
      */
-    constructor() {
+    constructor(options = {}) {
+        this.random = options.random || new Random();
+        
         this.facts = [
             "Новый год в России стали отмечать 1 января только с 1700 года по указу Петра I. До этого новый год начинался 1 сентября.",
             "Советский фильм «Ирония судьбы, или С лёгким паром!» показывают в канун Нового года с 1976 года. Это самая длинная новогодняя традиция на российском телевидении.",
@@ -49,7 +54,7 @@ export class FactsManager {
         
         let randomIndex;
         do {
-            randomIndex = Math.floor(Math.random() * this.facts.length);
+            randomIndex = this.random.int(0, this.facts.length);
         } while (this.usedIndices.has(randomIndex));
         
         this.usedIndices.add(randomIndex);
@@ -118,13 +123,9 @@ export class FactsManager {
             interesting: [2, 3, 5, 10, 13]
         };
         
-        const randomCategory = Object.keys(categories)[
-            Math.floor(Math.random() * Object.keys(categories).length)
-        ];
+        const randomCategory = this.random.pick(Object.keys(categories));
         
-        const factIndex = categories[randomCategory][
-            Math.floor(Math.random() * categories[randomCategory].length)
-        ];
+        const factIndex = this.random.pick(categories[randomCategory]);
         
         return {
             fact: this.facts[factIndex],
@@ -0,0 +1,276 @@
+import { EventBus } from './EventBus.js';
+
+/**
+ * @file MilestoneSchedule.js
+ * @class MilestoneSchedule
+ * @description Декларативное расписание эффектов на последний час отсчета
+ */
+
+export class MilestoneSchedule {
+    /**
+     * @static
+     * @description Расписание по умолчанию: порог до цели и список действий
+     * @type {Array<Object>}
+     */
+    static DEFAULT_SCHEDULE = [
+        {
+            name: 'hour_to_new_year',
+            at: 60 * 60 * 1000,
+            actions: [
+                { type: 'banner', text: 'Остался всего час!' },
+                { type: 'fireworks', simultaneousFireworks: 2, burst: 3 }
+            ]
+        },
+        {
+            name: 'ten_minutes_to_new_year',
+            at: 10 * 60 * 1000,
+            actions: [
+                { type: 'banner', text: 'Осталось 10 минут!' },
+                { type: 'fireworks', simultaneousFireworks: 4, burst: 5 },
+                { type: 'particles', preset: 'festive' },
+                { type: 'snow', intensity: { preset: 'steady', density: 1.5, wind: 0.6 }, duration: 20000 },
+                { type: 'digits', scale: 1.1 }
+            ]
+        },
+        {
+            name: 'one_minute_to_new_year',
+            at: 60 * 1000,
+            actions: [
+                { type: 'banner', text: 'Последняя минута!' },
+                { type: 'fireworks', simultaneousFireworks: 6, burst: 6 },
+                { type: 'snow', intensity: 'blizzard', duration: 30000 },
+                { type: 'digits', scale: 1.25 }
+            ]
+        },
+        ...Array.from({ length: 10 }, (_, index) => {
+            const seconds = 10 - index;
+            
+            return {
+                name: `final_${seconds}`,
+                at: seconds * 1000,
+                actions: [
+                    { type: 'digits', scale: 1.25 + index * 0.05 },
+                    { type: 'fireworks', simultaneousFireworks: 6 + index, burst: 1 }
+                ]
+            };
+        })
+    ];
+    
+    /**
+     * @static
+     * @method toMilestones
+     * @description Преобразует расписание в пороги для Countdown
+     * @param {Array<Object>} schedule - Расписание
+     * @returns {Array<Object>} - [{ name, remaining }]
+     */
+    static toMilestones(schedule) {
+        return schedule.map(({ name, at }) => ({ name, remaining: at }));
+    }
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки расписания
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            bus: null,
+            schedule: MilestoneSchedule.DEFAULT_SCHEDULE,
+            getComponent: () => null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.entries = new Map(this.settings.schedule.map(entry => [entry.name, entry]));
+        this.originals = {};
+        this.unsubscribers = [];
+        
+        this.handlers = {
+            fireworks: (action) => this.applyFireworks(action),
+            particles: (action) => this.applyParticles(action),
+            snow: (action) => this.applySnow(action),
+            digits: (action) => this.applyDigits(action),
+            banner: (action) => this.applyBanner(action)
+        };
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Подписывается на вехи и смену фаз счетчика
+     */
+    initialize() {
+        const { bus } = this.settings;
+        
+        if (!bus) {
+            console.error('❌ Для расписания вех нужна шина событий');
+            return;
+        }
+        
+        this.unsubscribers.push(
+            bus.on(EventBus.EVENTS.COUNTDOWN_MILESTONE, ({ name }) => this.run(name)),
+            bus.on(EventBus.EVENTS.COUNTDOWN_PHASE, ({ phase, previous }) => {
+                // После праздника эффекты возвращаются к обычному состоянию
+                if (phase === 'countdown' && previous !== 'countdown') {
+                    this.reset();
+                }
+            })
+        );
+    }
+    
+    /**
+     * @method registerAction
+     * @description Добавляет пользовательский тип действия
+     * @param {string} type - Тип действия в расписании
+     * @param {Function} handler - Обработчик (action, getComponent)
+     */
+    registerAction(type, handler) {
+        this.handlers[type] = (action) => handler(action, this.settings.getComponent);
+    }
+    
+    /**
+     * @method run
+     * @description Выполняет действия вехи
+     * @param {string} name - Имя вехи
+     */
+    run(name) {
+        const entry = this.entries.get(name);
+        if (!entry) return;
+        
+        entry.actions.forEach(action => {
+            const handler = this.handlers[action.type];
+            
+            if (!handler) {
+                console.warn(`⚠️ Неизвестное действие расписания "${action.type}"`);
+                return;
+            }
+            
+            handler(action);
+        });
+    }
+    
+    /**
+     * @method applyFireworks
+     * @description Усиливает фейерверки
+     * @param {Object} action - { simultaneousFireworks, particleCount, burst }
+     */
+    applyFireworks(action) {
+        const fireworks = this.settings.getComponent('fireworks');
+        if (!fireworks) return;
+        
+        const { type, burst, ...settings } = action;
+        
+        // Запоминаем исходные значения только тех полей, которые меняет расписание
+        this.originals.fireworks = this.originals.fireworks || {};
+        Object.keys(settings).forEach(key => {
+            if (!(key in this.originals.fireworks)) {
+                this.originals.fireworks[key] = fireworks.settings[key];
+            }
+        });
+        
+        fireworks.configure(settings);
+        
+        if (!fireworks.isRunning && !document.hidden) {
+            fireworks.start();
+        }
+        
+        if (burst) {
+            fireworks.spawnBurst(burst);
+        }
+    }
+    
+    /**
+     * @method applyParticles
+     * @description Плавно переключает пресет частиц
+     * @param {Object} action - { preset, duration }
+     */
+    applyParticles(action) {
+        const particles = this.settings.getComponent('particles');
+        if (!particles) return;
+        
+        if (!this.originals.particles) {
+            this.originals.particles = { preset: particles.settings.preset };
+        }
+        
+        particles.setPreset(action.preset, action.duration);
+    }
+    
+    /**
+     * @method applySnow
+     * @description Плавно меняет интенсивность снега
+     * @param {Object} action - { intensity, duration }
+     */
+    applySnow(action) {
+        const snowflakes = this.settings.getComponent('snowflakes');
+        if (!snowflakes) return;
+        
+        if (!this.originals.snow) {
+            this.originals.snow = { intensity: snowflakes.settings.intensity };
+        }
+        
+        snowflakes.setIntensity(action.intensity, action.duration);
+    }
+    
+    /**
+     * @method applyDigits
+     * @description Увеличивает цифры счетчика
+     * @param {Object} action - { scale }
+     */
+    applyDigits(action) {
+        const animations = this.settings.getComponent('animations');
+        
+        if (animations) {
+            animations.setDigitScale(action.scale);
+        }
+    }
+    
+    /**
+     * @method applyBanner
+     * @description Показывает баннер с сообщением
+     * @param {Object} action - { text, duration }
+     */
+    applyBanner(action) {
+        const banner = this.settings.getComponent('banner');
+        
+        if (banner) {
+            banner.show(action.text, action.duration);
+        }
+    }
+    
+    /**
+     * @method reset
+     * @description Возвращает эффекты к состоянию до первой вехи
+     */
+    reset() {
+        const fireworks = this.settings.getComponent('fireworks');
+        const particles = this.settings.getComponent('particles');
+        const snowflakes = this.settings.getComponent('snowflakes');
+        const animations = this.settings.getComponent('animations');
+        
+        if (fireworks && this.originals.fireworks) {
+            fireworks.configure(this.originals.fireworks);
+        }
+        
+        if (particles && this.originals.particles) {
+            particles.setPreset(this.originals.particles.preset);
+        }
+        
+        if (snowflakes && this.originals.snow) {
+            snowflakes.setIntensity(this.originals.snow.intensity);
+        }
+        
+        if (animations) {
+            animations.setDigitScale(1);
+        }
+        
+        this.originals = {};
+    }
+    
+    /**
+     * @method destroy
+     * @description Отписывается от шины событий
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,366 @@
+import { EventBus } from './EventBus.js';
+
+/**
+ * @file QualityGovernor.js
+ * @class QualityGovernor
+ * @description Измеряет частоту кадров и подстраивает количество фейерверков,
+ * снежинок и частиц фона под возможности устройства
+ */
+
+export class QualityGovernor {
+    /**
+     * @static
+     * @description Уровни качества от худшего к лучшему: доли от исходного количества эффектов
+     * @type {Array<Object>}
+     */
+    static TIERS = [
+        { name: 'minimal', fireworks: 0.25, snowflakes: 0.15, particles: 0.2 },
+        { name: 'low', fireworks: 0.45, snowflakes: 0.35, particles: 0.4 },
+        { name: 'medium', fireworks: 0.7, snowflakes: 0.65, particles: 0.7 },
+        { name: 'high', fireworks: 1, snowflakes: 1, particles: 1 }
+    ];
+    
+    /**
+     * @static
+     * @description Распространенные частоты обновления экранов, Гц: оценка округляется
+     * до ближайшей, чтобы дрожание времени кадров не завышало пороги
+     * @type {Array<number>}
+     */
+    static REFRESH_RATES = [30, 48, 50, 60, 75, 90, 120, 144, 165, 240];
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки адаптации
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            bus: null,
+            getComponent: () => null,
+            // Начальный уровень из TIERS
+            tier: 'high',
+            // Как часто пересчитывается FPS, мс
+            sampleInterval: 500,
+            // Гистерезис в долях частоты обновления экрана: при 60 Гц понижение ниже 40 FPS,
+            // повышение выше 55. Экран на 30 Гц (режим энергосбережения) не считается нагрузкой
+            downgradeRatio: 0.67,
+            upgradeRatio: 0.92,
+            // Абсолютные пороги FPS вместо долей, если заданы
+            downgradeFps: null,
+            upgradeFps: null,
+            // Частота обновления - лучшая оценка за это окно, мс
+            refreshWindow: 30000,
+            // Доля самых коротких кадров замера, по которой оценивается частота обновления
+            refreshPercentile: 0.1,
+            // Кадры короче этого (двойной вызов requestAnimationFrame) не учитываются, мс
+            minFrameTime: 4,
+            // Сколько FPS должен продержаться за порогом, чтобы уровень сменился, мс
+            downgradeAfter: 2000,
+            upgradeAfter: 6000,
+            // Пауза после смены уровня, пока эффекты перестраиваются, мс
+            cooldown: 3000,
+            // Кадры длиннее этого (скрытая вкладка, сон) не учитываются, мс
+            maxFrameGap: 250
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.tierIndex = this.findTier(this.settings.tier);
+        this.baseCounts = {};
+        this.fps = null;
+        this.refreshFps = null;
+        this.peaks = [];
+        this.frameCount = 0;
+        this.frameTimeSum = 0;
+        this.frameTimes = [];
+        this.lastFrame = null;
+        this.lastSample = null;
+        this.lastChange = 0;
+        this.lowSince = null;
+        this.highSince = null;
+        this.animationId = null;
+        this.isRunning = false;
+        
+        this.frame = this.frame.bind(this);
+    }
+    
+    /**
+     * @method findTier
+     * @description Возвращает индекс уровня по имени
+     * @param {string} name - Имя уровня
+     * @returns {number}
+     */
+    findTier(name) {
+        const index = QualityGovernor.TIERS.findIndex(tier => tier.name === name);
+        
+        if (index === -1) {
+            console.warn(`⚠️ Неизвестный уровень качества "${name}", используется high`);
+            return QualityGovernor.TIERS.length - 1;
+        }
+        
+        return index;
+    }
+    
+    /**
+     * @method start
+     * @description Начинает измерение частоты кадров
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.lastFrame = null;
+        this.lastSample = null;
+        this.animationId = requestAnimationFrame(this.frame);
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает измерение
+     */
+    stop() {
+        this.isRunning = false;
+        
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
+    /**
+     * @method frame
+     * @description Учитывает длительность кадра
+     * @param {number} timestamp - Время кадра от requestAnimationFrame
+     */
+    frame(timestamp) {
+        if (!this.isRunning) return;
+        
+        if (this.lastFrame !== null) {
+            const delta = timestamp - this.lastFrame;
+            
+            if (delta >= this.settings.minFrameTime && delta < this.settings.maxFrameGap) {
+                this.frameCount++;
+                this.frameTimeSum += delta;
+                this.frameTimes.push(delta);
+            }
+        }
+        
+        this.lastFrame = timestamp;
+        
+        if (this.lastSample === null) {
+            this.lastSample = timestamp;
+        } else if (timestamp - this.lastSample >= this.settings.sampleInterval) {
+            this.sample(timestamp);
+        }
+        
+        this.animationId = requestAnimationFrame(this.frame);
+    }
+    
+    /**
+     * @method sample
+     * @description Вычисляет средний FPS за интервал и оценивает смену уровня
+     * @param {number} now - Время кадра
+     */
+    sample(now) {
+        this.lastSample = now;
+        
+        if (!this.frameCount) return;
+        
+        const frameTime = this.frameTimeSum / this.frameCount;
+        this.fps = Math.round(1000 / frameTime);
+        this.updateRefreshRate(now);
+        this.frameCount = 0;
+        this.frameTimeSum = 0;
+        this.frameTimes = [];
+        
+        this.emit(EventBus.EVENTS.PERFORMANCE_SAMPLE, {
+            fps: this.fps,
+            frameTime,
+            refreshFps: this.refreshFps,
+            tier: this.getTier()
+        });
+        
+        this.evaluate(now);
+    }
+    
+    /**
+     * @method updateRefreshRate
+     * @description Оценивает частоту обновления экрана. Под нагрузкой кадры пропускаются,
+     * но часть из них по-прежнему укладывается в один период обновления, поэтому самые
+     * короткие кадры заметно быстрее среднего. При ограничении requestAnimationFrame
+     * до 30 Гц короче 33 мс не бывает ни один кадр, и оценка остается 30
+     * @param {number} now - Время кадра
+     */
+    updateRefreshRate(now) {
+        const sorted = [...this.frameTimes].sort((a, b) => a - b);
+        const shortFrame = sorted[Math.floor((sorted.length - 1) * this.settings.refreshPercentile)];
+        const averageRate = this.snapRate(this.fps);
+        const peakRate = this.snapRate(1000 / shortFrame);
+        
+        // Небольшой разрыв - дрожание времени кадров, а не пропущенные кадры
+        const rate = peakRate >= averageRate * 1.5 ? peakRate : averageRate;
+        
+        this.peaks.push({ time: now, fps: rate });
+        this.peaks = this.peaks.filter(peak => now - peak.time <= this.settings.refreshWindow);
+        this.refreshFps = Math.max(...this.peaks.map(peak => peak.fps));
+    }
+    
+    /**
+     * @method snapRate
+     * @description Округляет FPS до ближайшей распространенной частоты обновления
+     * @param {number} fps - Измеренный FPS
+     * @returns {number}
+     */
+    snapRate(fps) {
+        return QualityGovernor.REFRESH_RATES.reduce((best, value) => (
+            Math.abs(value - fps) < Math.abs(best - fps) ? value : best
+        ));
+    }
+    
+    /**
+     * @method getThresholds
+     * @description Возвращает пороги понижения и повышения уровня для текущего экрана
+     * @returns {Object} - { downgradeFps, upgradeFps }
+     */
+    getThresholds() {
+        const { downgradeRatio, upgradeRatio, downgradeFps, upgradeFps } = this.settings;
+        const refreshFps = this.refreshFps || 60;
+        
+        return {
+            downgradeFps: downgradeFps ?? refreshFps * downgradeRatio,
+            upgradeFps: upgradeFps ?? refreshFps * upgradeRatio
+        };
+    }
+    
+    /**
+     * @method evaluate
+     * @description Меняет уровень, если FPS достаточно долго держится за порогом
+     * @param {number} now - Время кадра
+     */
+    evaluate(now) {
+        const { downgradeAfter, upgradeAfter, cooldown } = this.settings;
+        const { downgradeFps, upgradeFps } = this.getThresholds();
+        
+        if (now - this.lastChange < cooldown) {
+            this.lowSince = null;
+            this.highSince = null;
+            return;
+        }
+        
+        if (this.fps < downgradeFps) {
+            this.highSince = null;
+            this.lowSince = this.lowSince ?? now;
+            
+            if (now - this.lowSince >= downgradeAfter) {
+                this.setTier(this.tierIndex - 1, now);
+            }
+        } else if (this.fps > upgradeFps) {
+            this.lowSince = null;
+            this.highSince = this.highSince ?? now;
+            
+            if (now - this.highSince >= upgradeAfter) {
+                this.setTier(this.tierIndex + 1, now);
+            }
+        } else {
+            this.lowSince = null;
+            this.highSince = null;
+        }
+    }
+    
+    /**
+     * @method setTier
+     * @description Переключает уровень качества и применяет его к эффектам
+     * @param {number|string} tier - Индекс или имя уровня
+     * @param {number} now - Время смены (для паузы после переключения)
+     */
+    setTier(tier, now = performance.now()) {
+        const index = typeof tier === 'string' ? this.findTier(tier) : tier;
+        const clamped = Math.min(Math.max(index, 0), QualityGovernor.TIERS.length - 1);
+        
+        if (clamped === this.tierIndex) return;
+        
+        this.tierIndex = clamped;
+        this.lastChange = now;
+        this.lowSince = null;
+        this.highSince = null;
+        this.apply();
+        
+        console.log(`⚙️ Качество эффектов: ${this.getTier()}${this.fps ? ` (${this.fps} FPS)` : ''}`);
+        this.emit(EventBus.EVENTS.QUALITY_CHANGE, { tier: this.getTier(), fps: this.fps });
+    }
+    
+    /**
+     * @method apply
+     * @description Применяет текущий уровень к созданным эффектам.
+     * Исходные количества запоминаются при первом применении
+     */
+    apply() {
+        const tier = QualityGovernor.TIERS[this.tierIndex];
+        const fireworks = this.settings.getComponent('fireworks');
+        const snowflakes = this.settings.getComponent('snowflakes');
+        const particles = this.settings.getComponent('particles');
+        
+        if (fireworks) {
+            fireworks.configure({ qualityScale: tier.fireworks });
+        }
+        
+        if (snowflakes) {
+            this.baseCounts.snowflakes = this.baseCounts.snowflakes ?? snowflakes.settings.count;
+            const count = Math.round(this.baseCounts.snowflakes * tier.snowflakes);
+            
+            if (count !== snowflakes.settings.count) {
+                snowflakes.recreate(count);
+            }
+        }
+        
+        if (particles) {
+            this.baseCounts.particles = this.baseCounts.particles ?? particles.settings.performance.maxParticles;
+            particles.setMaxParticles(Math.round(this.baseCounts.particles * tier.particles));
+        }
+    }
+    
+    /**
+     * @method getTier
+     * @description Возвращает имя текущего уровня
+     * @returns {string}
+     */
+    getTier() {
+        return QualityGovernor.TIERS[this.tierIndex].name;
+    }
+    
+    /**
+     * @method getRefreshFps
+     * @description Возвращает оценку частоты обновления экрана
+     * @returns {number|null}
+     */
+    getRefreshFps() {
+        return this.refreshFps;
+    }
+    
+    /**
+     * @method getFps
+     * @description Возвращает последний измеренный FPS
+     * @returns {number|null}
+     */
+    getFps() {
+        return this.fps;
+    }
+    
+    /**
+     * @method emit
+     * @description Отправляет событие, если подключена шина
+     * @param {string} eventName - Имя события
+     * @param {Object} payload - Данные события
+     */
+    emit(eventName, payload) {
+        if (this.settings.bus) {
+            this.settings.bus.emit(eventName, payload);
+        }
+    }
+    
+    /**
+     * @method destroy
+     * @description Останавливает измерение
+     */
+    destroy() {
+        this.stop();
+    }
+}
\ No newline at end of file
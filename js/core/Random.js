@@ -0,0 +1,150 @@
+import { EventConfig } from './EventConfig.js';
+
+/**
+ * @file Random.js
+ * @class Random
+ * @description Детерминированный генератор случайных чисел с зерном (mulberry32)
+ */
+
+export class Random {
+    /**
+     * @static
+     * @method fromLocation
+     * @description Создает генератор с зерном из ?seed=... или #seed=..., иначе со случайным зерном
+     * @param {Location} location - Адрес страницы
+     * @returns {Random}
+     */
+    static fromLocation(location = window.location) {
+        const seed = EventConfig.readParams(location).get('seed');
+        
+        return seed ? new Random(Random.hashSeed(seed)) : new Random();
+    }
+    
+    /**
+     * @static
+     * @method createSeed
+     * @description Возвращает случайное 32-битное зерно
+     * @returns {number}
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * @static
+     * @method hashSeed
+     * @description Приводит число или строку к 32-битному зерну (строки хэшируются FNV-1a)
+     * @param {number|string} value - Исходное значение
+     * @returns {number}
+     */
+    static hashSeed(value) {
+        const text = String(value).trim();
+        
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+        
+        let hash = 0x811c9dc5;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * @constructor
+     * @param {number} seed - 32-битное зерно
+     */
+    constructor(seed = Random.createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * @method next
+     * @description Следующее число в диапазоне [0, 1), замена Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        
+        let value = this.state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        
+        return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * @method range
+     * @description Случайное дробное число в диапазоне [min, max)
+     * @param {number} min - Минимальное значение
+     * @param {number} max - Максимальное значение
+     * @returns {number}
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+    
+    /**
+     * @method int
+     * @description Случайное целое число в диапазоне [min, max)
+     * @param {number} min - Минимальное значение
+     * @param {number} max - Максимальное значение (не включается)
+     * @returns {number}
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+    
+    /**
+     * @method pick
+     * @description Случайный элемент массива
+     * @param {Array} items - Массив
+     * @returns {*}
+     */
+    pick(items) {
+        return items[this.int(0, items.length)];
+    }
+    
+    /**
+     * @method chance
+     * @description Возвращает true с заданной вероятностью
+     * @param {number} probability - Вероятность от 0 до 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * @method fork
+     * @description Создает независимый генератор для компонента, чтобы порядок вызовов
+     * в одном компоненте не менял последовательность в другом
+     * @param {string} label - Имя компонента
+     * @returns {Random}
+     */
+    fork(label) {
+        return new Random(Random.hashSeed(`${this.seed}:${label}`));
+    }
+    
+    /**
+     * @method reset
+     * @description Возвращает генератор к началу последовательности
+     */
+    reset() {
+        this.state = this.seed;
+    }
+    
+    /**
+     * @method getSeed
+     * @description Возвращает зерно генератора
+     * @returns {number}
+     */
+    getSeed() {
+        return this.seed;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * @file Ticker.js
+ * @class Ticker
+ * @description Планировщик тиков, выровненных по границам секунд реального времени
+ */
+
+export class Ticker {
+    /**
+     * @constructor
+     * @param {Function} callback - Вызывается на каждом тике с объектом { now, missed }
+     * @param {Object} options - Настройки планировщика
+     */
+    constructor(callback, options = {}) {
+        this.defaults = {
+            interval: 1000,
+            offset: 0,
+            lateness: 5,
+            catchUpOnVisible: true,
+            clock: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.callback = callback;
+        this.clock = this.settings.clock || { now: () => Date.now() };
+        this.timeoutId = null;
+        this.lastTick = null;
+        this.isRunning = false;
+        
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+    
+    /**
+     * @method start
+     * @description Запускает тики: первый сразу, остальные на границах интервала
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.lastTick = null;
+        
+        if (this.settings.catchUpOnVisible) {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        
+        this.tick();
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает тики
+     */
+    stop() {
+        this.isRunning = false;
+        
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+        
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    
+    /**
+     * @method tick
+     * @description Выполняет тик и планирует следующий
+     */
+    tick() {
+        if (!this.isRunning) return;
+        
+        const now = this.clock.now();
+        const { interval } = this.settings;
+        
+        // Сколько границ интервала было пропущено (троттлинг, сон устройства)
+        const missed = this.lastTick === null
+            ? 0
+            : Math.max(0, Math.floor((now - this.lastTick) / interval) - 1);
+        
+        this.lastTick = now;
+        this.callback({ now, missed });
+        
+        this.schedule();
+    }
+    
+    /**
+     * @method schedule
+     * @description Планирует следующий тик на ближайшую границу интервала
+     */
+    schedule() {
+        if (!this.isRunning) return;
+        
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+        }
+        
+        this.timeoutId = setTimeout(() => {
+            this.timeoutId = null;
+            this.tick();
+        }, this.getDelay(this.clock.now()));
+    }
+    
+    /**
+     * @method getDelay
+     * @description Вычисляет задержку до следующей границы интервала
+     * @param {number} now - Текущее время в миллисекундах
+     * @returns {number}
+     */
+    getDelay(now) {
+        const { interval, offset, lateness } = this.settings;
+        const phase = ((now - offset) % interval + interval) % interval;
+        
+        // Небольшое опоздание гарантирует, что граница уже пройдена
+        return interval - phase + lateness;
+    }
+    
+    /**
+     * @method setOffset
+     * @description Меняет фазу выравнивания тиков
+     * @param {number} offset - Смещение границ в миллисекундах
+     */
+    setOffset(offset) {
+        this.settings.offset = offset;
+        this.schedule();
+    }
+    
+    /**
+     * @method handleVisibilityChange
+     * @description Догоняет пропущенное время при возвращении на вкладку
+     */
+    handleVisibilityChange() {
+        if (!document.hidden && this.isRunning) {
+            if (this.timeoutId) {
+                clearTimeout(this.timeoutId);
+                this.timeoutId = null;
+            }
+            
+            this.tick();
+        }
+    }
+}
\ No newline at end of file
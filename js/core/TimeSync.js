@@ -0,0 +1,285 @@
+/**
+ * @file TimeSync.js
+ * @class TimeSync
+ * @description Оценка смещения часов устройства относительно сервера времени.
+ * Каждый замер ограничивает смещение интервалом с учетом времени запроса и точности
+ * ответа (заголовок Date округлен до секунды); пересечение интервалов сужает оценку
+ */
+
+export class TimeSync {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки синхронизации
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            url: typeof window !== 'undefined' ? window.location.href : null,
+            mode: 'header',
+            jsonField: null,
+            samples: 5,
+            // Пауза подобрана так, чтобы замеры попадали в разные доли секунды
+            // и хотя бы один пересек границу секунды заголовка Date
+            sampleDelay: 230,
+            timeout: 3000,
+            fetch: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.offset = 0;
+        this.uncertainty = null;
+        this.roundTrip = null;
+        this.isSynced = false;
+        this.syncPromise = null;
+    }
+    
+    /**
+     * @method now
+     * @description Возвращает скорректированное текущее время в миллисекундах
+     * @returns {number}
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+    
+    /**
+     * @method sync
+     * @description Снимает несколько замеров и оценивает смещение
+     * @returns {Promise<number>} - Смещение в миллисекундах
+     */
+    sync() {
+        if (!this.syncPromise) {
+            this.syncPromise = this.collectSamples().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        
+        return this.syncPromise;
+    }
+    
+    /**
+     * @method collectSamples
+     * @description Последовательно выполняет замеры и обновляет смещение
+     * @returns {Promise<number>}
+     */
+    async collectSamples() {
+        if (!this.isAvailable()) {
+            console.warn('⚠️ Синхронизация времени недоступна, используются часы устройства');
+            return this.offset;
+        }
+        
+        const samples = [];
+        
+        for (let i = 0; i < this.settings.samples; i++) {
+            try {
+                samples.push(await this.takeSample());
+            } catch (error) {
+                console.warn('⚠️ Замер времени не удался:', error.message);
+            }
+            
+            if (i < this.settings.samples - 1) {
+                await this.delay(this.settings.sampleDelay);
+            }
+        }
+        
+        if (!samples.length) {
+            console.warn('⚠️ Не удалось синхронизировать время, используются часы устройства');
+            return this.offset;
+        }
+        
+        const { offset, uncertainty } = this.estimateOffset(samples);
+        
+        this.offset = offset;
+        this.uncertainty = uncertainty;
+        this.roundTrip = this.median(samples.map(sample => sample.roundTrip));
+        this.isSynced = true;
+        
+        console.log(`🕰️ Время синхронизировано: смещение ${Math.round(this.offset)} ± ${Math.round(this.uncertainty)} мс`);
+        return this.offset;
+    }
+    
+    /**
+     * @method estimateOffset
+     * @description Пересекает интервалы замеров. Часы устройства, согласные со всеми замерами,
+     * не корректируются: поправка меньше точности сервера только добавила бы ошибку
+     * @param {Array<Object>} samples - Замеры { min, max, offset }
+     * @returns {Object} - { offset, uncertainty }
+     */
+    estimateOffset(samples) {
+        const min = Math.max(...samples.map(sample => sample.min));
+        const max = Math.min(...samples.map(sample => sample.max));
+        
+        // Интервалы не пересекаются - сервер отвечал непоследовательно, берем медиану
+        if (min > max) {
+            const widths = samples.map(sample => (sample.max - sample.min) / 2);
+            
+            return {
+                offset: this.median(samples.map(sample => sample.offset)),
+                uncertainty: this.median(widths)
+            };
+        }
+        
+        return {
+            offset: min <= 0 && max >= 0 ? 0 : (min + max) / 2,
+            uncertainty: (max - min) / 2
+        };
+    }
+    
+    /**
+     * @method takeSample
+     * @description Выполняет один замер с компенсацией времени запроса
+     * @returns {Promise<Object>} - { offset, min, max, roundTrip }
+     */
+    async takeSample() {
+        const fetchFn = this.settings.fetch || globalThis.fetch.bind(globalThis);
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), this.settings.timeout) : null;
+        
+        try {
+            const sentAt = Date.now();
+            const response = await fetchFn(this.buildUrl(), {
+                method: this.settings.mode === 'header' ? 'HEAD' : 'GET',
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+            const receivedAt = Date.now();
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const serverTime = this.settings.mode === 'header'
+                ? this.parseDateHeader(response)
+                : this.parseJson(await response.json());
+            
+            // Сервер ответил между отправкой и получением, а время без миллисекунд
+            // может быть позже показанного на величину до секунды
+            const resolution = serverTime % 1000 === 0 ? 1000 : 0;
+            const min = serverTime - receivedAt;
+            const max = serverTime + resolution - sentAt;
+            
+            return {
+                offset: (min + max) / 2,
+                min,
+                max,
+                roundTrip: receivedAt - sentAt
+            };
+        } finally {
+            if (timeoutId) {
+                clearTimeout(timeoutId);
+            }
+        }
+    }
+    
+    /**
+     * @method parseDateHeader
+     * @description Извлекает время из заголовка Date
+     * @param {Response} response - Ответ сервера
+     * @returns {number}
+     */
+    parseDateHeader(response) {
+        const header = response.headers.get('Date');
+        const time = Date.parse(header);
+        
+        if (!header || Number.isNaN(time)) {
+            throw new Error('Заголовок Date отсутствует или недоступен');
+        }
+        
+        return time;
+    }
+    
+    /**
+     * @method parseJson
+     * @description Извлекает время из JSON-ответа
+     * @param {Object} data - Тело ответа
+     * @returns {number}
+     */
+    parseJson(data) {
+        const fields = this.settings.jsonField
+            ? [this.settings.jsonField]
+            : ['now', 'time', 'timestamp', 'unixtime', 'utc_datetime', 'datetime'];
+        
+        for (const field of fields) {
+            const value = field.split('.').reduce((node, key) => (node == null ? node : node[key]), data);
+            const time = this.toMilliseconds(value);
+            
+            if (time !== null) {
+                return time;
+            }
+        }
+        
+        throw new Error('В ответе не найдено поле со временем');
+    }
+    
+    /**
+     * @method toMilliseconds
+     * @description Приводит число (секунды или миллисекунды) или ISO-строку к миллисекундам
+     * @param {*} value - Значение из ответа
+     * @returns {number|null}
+     */
+    toMilliseconds(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return value < 1e12 ? value * 1000 : value;
+        }
+        
+        if (typeof value === 'string') {
+            const time = Date.parse(value);
+            return Number.isNaN(time) ? null : time;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * @method buildUrl
+     * @description Добавляет к адресу параметр против кэширования
+     * @returns {string}
+     */
+    buildUrl() {
+        const base = typeof window !== 'undefined' ? window.location.href : undefined;
+        const url = new URL(this.settings.url, base);
+        url.searchParams.set('_ts', String(Date.now()));
+        return url.toString();
+    }
+    
+    /**
+     * @method isAvailable
+     * @description Проверяет, можно ли выполнить запрос к серверу времени
+     * @returns {boolean}
+     */
+    isAvailable() {
+        if (!this.settings.url) return false;
+        if (this.settings.fetch) return true;
+        
+        // Страница, открытая как файл, не может запросить сама себя
+        try {
+            return typeof fetch === 'function' && /^https?:$/.test(new URL(this.buildUrl()).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * @method median
+     * @description Вычисляет медиану набора чисел
+     * @param {Array<number>} values - Значения
+     * @returns {number}
+     */
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        
+        return sorted.length % 2
+            ? sorted[middle]
+            : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    
+    /**
+     * @method delay
+     * @description Пауза между замерами
+     * @param {number} ms - Длительность в миллисекундах
+     * @returns {Promise<void>}
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * @file TimeZones.js
+ * @class TimeZones
+ * @description Справочник часовых поясов России и расчет полуночи в заданном поясе
+ */
+
+export class TimeZones {
+    /**
+     * @static
+     * @description Часовые пояса России с востока на запад
+     * @type {Array<Object>}
+     */
+    static RUSSIAN_ZONES = [
+        { id: 'Asia/Kamchatka', label: 'Камчатка', city: 'Петропавловск-Камчатский' },
+        { id: 'Asia/Magadan', label: 'Магадан', city: 'Магадан' },
+        { id: 'Asia/Vladivostok', label: 'Владивосток', city: 'Владивосток' },
+        { id: 'Asia/Yakutsk', label: 'Якутск', city: 'Якутск' },
+        { id: 'Asia/Irkutsk', label: 'Иркутск', city: 'Иркутск' },
+        { id: 'Asia/Krasnoyarsk', label: 'Красноярск', city: 'Красноярск' },
+        { id: 'Asia/Omsk', label: 'Омск', city: 'Омск' },
+        { id: 'Asia/Yekaterinburg', label: 'Екатеринбург', city: 'Екатеринбург' },
+        { id: 'Europe/Samara', label: 'Самара', city: 'Самара' },
+        { id: 'Europe/Moscow', label: 'Москва', city: 'Москва' },
+        { id: 'Europe/Kaliningrad', label: 'Калининград', city: 'Калининград' }
+    ];
+    
+    /**
+     * @static
+     * @method isValid
+     * @description Проверяет, поддерживается ли IANA-имя часового пояса
+     * @param {string} timeZone - Имя пояса, например "Asia/Vladivostok"
+     * @returns {boolean}
+     */
+    static isValid(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * @static
+     * @method getZone
+     * @description Возвращает описание пояса из справочника
+     * @param {string} timeZone - Имя пояса
+     * @returns {Object|null}
+     */
+    static getZone(timeZone) {
+        return TimeZones.RUSSIAN_ZONES.find(zone => zone.id === timeZone) || null;
+    }
+    
+    /**
+     * @static
+     * @method getZonedParts
+     * @description Возвращает календарные составляющие момента времени в заданном поясе
+     * @param {Date} date - Момент времени
+     * @param {string} timeZone - Имя пояса
+     * @returns {Object} - { year, month, day, hour, minute, second }
+     */
+    static getZonedParts(date, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(date)) {
+            if (type !== 'literal') {
+                parts[type] = Number(value);
+            }
+        }
+        
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour % 24,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+    
+    /**
+     * @static
+     * @method getOffset
+     * @description Вычисляет смещение пояса относительно UTC в миллисекундах
+     * @param {string} timeZone - Имя пояса
+     * @param {Date} date - Момент времени, для которого считается смещение
+     * @returns {number}
+     */
+    static getOffset(timeZone, date = new Date()) {
+        const parts = TimeZones.getZonedParts(date, timeZone);
+        const asUTC = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+        
+        // Миллисекунды отбрасываются форматтером, поэтому сравниваем целые секунды
+        return asUTC - (date.getTime() - date.getMilliseconds());
+    }
+    
+    /**
+     * @static
+     * @method formatOffset
+     * @description Форматирует смещение пояса в виде "UTC+3"
+     * @param {string} timeZone - Имя пояса
+     * @returns {string}
+     */
+    static formatOffset(timeZone) {
+        const minutes = Math.round(TimeZones.getOffset(timeZone) / 60000);
+        const sign = minutes < 0 ? '−' : '+';
+        const hours = Math.floor(Math.abs(minutes) / 60);
+        const rest = Math.abs(minutes) % 60;
+        
+        return `UTC${sign}${hours}${rest ? ':' + String(rest).padStart(2, '0') : ''}`;
+    }
+    
+    /**
+     * @static
+     * @method getZonedMidnight
+     * @description Возвращает момент наступления полуночи указанной даты в заданном поясе
+     * @param {number} year - Год
+     * @param {number} month - Месяц (0-11)
+     * @param {number} day - День месяца
+     * @param {string} timeZone - Имя пояса
+     * @returns {Date}
+     */
+    static getZonedMidnight(year, month, day, timeZone) {
+        const utcMidnight = Date.UTC(year, month, day);
+        const offset = TimeZones.getOffset(timeZone, new Date(utcMidnight));
+        let result = utcMidnight - offset;
+        
+        // Повторная проверка на случай смены смещения между двумя моментами
+        const correctedOffset = TimeZones.getOffset(timeZone, new Date(result));
+        if (correctedOffset !== offset) {
+            result = utcMidnight - correctedOffset;
+        }
+        
+        return new Date(result);
+    }
+    
+    /**
+     * @static
+     * @method getNextNewYear
+     * @description Возвращает ближайшую новогоднюю полночь в заданном поясе
+     * @param {string} timeZone - Имя пояса
+     * @param {Date} now - Текущий момент
+     * @returns {Date}
+     */
+    static getNextNewYear(timeZone, now = new Date()) {
+        const { year } = TimeZones.getZonedParts(now, timeZone);
+        return TimeZones.getZonedMidnight(year + 1, 0, 1, timeZone);
+    }
+}
\ No newline at end of file
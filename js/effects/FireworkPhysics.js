@@ -0,0 +1,144 @@
+import { Random } from '../core/Random.js';
+
+/**
+ * @file FireworkPhysics.js
+ * @class FireworkPhysics
+ * @description Физика полета фейерверков: гравитация, сопротивление воздуха,
+ * ветер с порывами, покачивание ракет и длина хвостов. Все величины - на кадр
+ */
+
+export class FireworkPhysics {
+    /**
+     * @static
+     * @description Пресеты погоды
+     * @type {Object<string, Object>}
+     */
+    static PRESETS = {
+        // Поведение без погоды: прямой полет ракет, ровное падение искр
+        classic: {
+            gravity: 1,
+            drag: 0,
+            wind: { x: 0, y: 0 },
+            gustStrength: 0,
+            gustPeriod: 4000,
+            rocketWind: 0.5,
+            wobble: 0,
+            trailScale: 1
+        },
+        // Тихая морозная ночь: искры медленно оседают и тянут длинные хвосты
+        calm: {
+            gravity: 0.8,
+            drag: 0.005,
+            wind: { x: 0.15, y: 0 },
+            gustStrength: 0.1,
+            gustPeriod: 6000,
+            rocketWind: 0.3,
+            wobble: 1,
+            trailScale: 1.6
+        },
+        // Метель: сильный порывистый ветер сносит ракеты и рвет хвосты
+        stormy: {
+            gravity: 1.2,
+            drag: 0.02,
+            wind: { x: 1.2, y: 0.1 },
+            gustStrength: 1.8,
+            gustPeriod: 2500,
+            rocketWind: 0.6,
+            wobble: 4,
+            trailScale: 0.7
+        }
+    };
+    
+    /**
+     * @static
+     * @method getPresetNames
+     * @description Возвращает имена пресетов
+     * @returns {string[]}
+     */
+    static getPresetNames() {
+        return Object.keys(FireworkPhysics.PRESETS);
+    }
+    
+    /**
+     * @constructor
+     * @param {string|Object} options - Имя пресета или { preset, gravity, drag, wind, ... }
+     * @param {Random} random - Генератор случайных чисел (фаза порывов)
+     */
+    constructor(options = 'classic', random = new Random()) {
+        this.random = random;
+        this.settings = null;
+        this.gustPhase = 0;
+        
+        // Текущие значения, которые читают частицы
+        this.gravity = 1;
+        this.airResistance = 1;
+        this.windX = 0;
+        this.windY = 0;
+        this.rocketWind = 0;
+        this.wobble = 0;
+        this.trailScale = 1;
+        
+        this.configure(options);
+    }
+    
+    /**
+     * @method configure
+     * @description Применяет пресет и переопределения
+     * @param {string|Object} options - Имя пресета или { preset, ...переопределения }
+     */
+    configure(options) {
+        const { preset = 'classic', ...overrides } = typeof options === 'string' ? { preset: options } : options;
+        
+        if (!FireworkPhysics.PRESETS[preset]) {
+            console.warn(`⚠️ Неизвестный пресет физики "${preset}", используется classic`);
+        }
+        
+        const base = { ...FireworkPhysics.PRESETS.classic, ...FireworkPhysics.PRESETS[preset] };
+        
+        this.settings = {
+            ...base,
+            ...overrides,
+            wind: { ...base.wind, ...overrides.wind }
+        };
+        
+        this.gravity = this.settings.gravity;
+        this.airResistance = 1 - this.settings.drag;
+        this.rocketWind = this.settings.rocketWind;
+        this.wobble = this.settings.wobble;
+        this.trailScale = this.settings.trailScale;
+        this.gustPhase = this.random.range(0, Math.PI * 2);
+        this.update(0);
+    }
+    
+    /**
+     * @method update
+     * @description Пересчитывает ветер с учетом порывов
+     * @param {number} now - Время в миллисекундах
+     */
+    update(now) {
+        const { wind, gustStrength, gustPeriod } = this.settings;
+        
+        this.windX = wind.x;
+        this.windY = wind.y;
+        
+        if (!gustStrength) return;
+        
+        // Две несоизмеримые синусоиды дают неровные, неповторяющиеся порывы
+        const t = now / gustPeriod * Math.PI * 2 + this.gustPhase;
+        const gust = gustStrength * Math.max(0, Math.sin(t) * 0.7 + Math.sin(t * 2.3 + 1.3) * 0.3);
+        
+        // Порыв дует по направлению основного ветра (в безветрие - вправо)
+        const length = Math.hypot(wind.x, wind.y);
+        this.windX += length ? gust * wind.x / length : gust;
+        this.windY += length ? gust * wind.y / length : 0;
+    }
+    
+    /**
+     * @method getSettings
+     * @description Возвращает текущие параметры физики
+     * @returns {Object}
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,267 @@
+import { Random } from '../core/Random.js';
+
+/**
+ * @file FireworkShapes.js
+ * @class FireworkShapes
+ * @description Библиотека форм взрыва фейерверков
+ */
+
+export class FireworkShapes {
+    /**
+     * @static
+     * @description Формы взрыва: множитель количества частиц, вес при случайном выборе
+     * и функция (count, random), возвращающая параметры каждой частицы ({ angle, speed, ... })
+     * @type {Object<string, Object>}
+     */
+    static SHAPES = {
+        // Классический шар со случайными направлениями и скоростями
+        sphere: {
+            countFactor: 1,
+            weight: 4,
+            build: (count, random) => Array.from({ length: count }, () => ({
+                angle: random.next() * Math.PI * 2,
+                speed: random.next() * 9 + 1
+            }))
+        },
+        
+        ring: {
+            countFactor: 0.6,
+            weight: 2,
+            build: (count, random) => FireworkShapes.fromPoints(count, (t) => ({
+                x: Math.cos(t * Math.PI * 2),
+                y: Math.sin(t * Math.PI * 2)
+            }), 7, random)
+        },
+        
+        // Два кольца: внутреннее окрашено в дополнительный цвет
+        double_ring: {
+            countFactor: 0.9,
+            weight: 1,
+            build: (count, random) => {
+                const outer = Math.ceil(count * 0.6);
+                
+                return [
+                    ...FireworkShapes.fromPoints(outer, (t) => ({
+                        x: Math.cos(t * Math.PI * 2),
+                        y: Math.sin(t * Math.PI * 2)
+                    }), 7.5, random),
+                    ...FireworkShapes.fromPoints(count - outer, (t) => ({
+                        x: Math.cos(t * Math.PI * 2),
+                        y: Math.sin(t * Math.PI * 2)
+                    }), 4, random).map(options => ({ ...options, hueShift: 180 }))
+                ];
+            }
+        },
+        
+        heart: {
+            countFactor: 0.8,
+            weight: 1,
+            build: (count, random) => FireworkShapes.fromPoints(count, (t) => {
+                const angle = t * Math.PI * 2;
+                
+                return {
+                    x: Math.pow(Math.sin(angle), 3),
+                    y: -(13 * Math.cos(angle) - 5 * Math.cos(2 * angle) - 2 * Math.cos(3 * angle) - Math.cos(4 * angle)) / 16
+                };
+            }, 7, random)
+        },
+        
+        // Пятиконечная звезда: точки на ломаной из внешних и внутренних вершин
+        star: {
+            countFactor: 0.8,
+            weight: 1,
+            build: (count, random) => FireworkShapes.fromPoints(count, (t) => {
+                const position = t * 10;
+                const index = Math.floor(position);
+                const from = FireworkShapes.starVertex(index);
+                const to = FireworkShapes.starVertex(index + 1);
+                const fraction = position - index;
+                
+                return {
+                    x: from.x + (to.x - from.x) * fraction,
+                    y: from.y + (to.y - from.y) * fraction
+                };
+            }, 7, random)
+        },
+        
+        // Ива: медленные частицы с длинными свисающими хвостами
+        willow: {
+            countFactor: 0.8,
+            weight: 1,
+            build: (count, random) => Array.from({ length: count }, () => ({
+                angle: random.next() * Math.PI * 2,
+                speed: random.next() * 3 + 2,
+                friction: 0.97,
+                gravity: 0.8,
+                decay: random.next() * 0.004 + 0.006,
+                trailLength: 14
+            }))
+        },
+        
+        // Пальма: несколько толстых ветвей из частиц с разной скоростью
+        palm: {
+            countFactor: 0.7,
+            weight: 1,
+            build: (count, random) => {
+                const branches = 7;
+                const offset = random.next() * Math.PI * 2;
+                
+                return Array.from({ length: count }, (_, index) => ({
+                    angle: offset + (index % branches) / branches * Math.PI * 2 + (random.next() - 0.5) * 0.08,
+                    speed: random.next() * 6 + 3,
+                    friction: 0.96,
+                    gravity: 0.5,
+                    decay: random.next() * 0.006 + 0.01,
+                    trailLength: 10
+                }));
+            }
+        },
+        
+        // Кроссет: немного крупных звездочек, каждая распадается крестом
+        crossette: {
+            countFactor: 0.1,
+            weight: 1,
+            build: (count, random) => FireworkShapes.fromPoints(Math.max(count, 6), (t) => ({
+                x: Math.cos(t * Math.PI * 2),
+                y: Math.sin(t * Math.PI * 2)
+            }), 6, random).map(options => ({
+                ...options,
+                decay: 0.012,
+                split: { count: 4, speed: 3, alpha: 0.55 }
+            }))
+        },
+        
+        // Блестки: мерцающие частицы с короткими хвостами
+        glitter: {
+            countFactor: 1,
+            weight: 1,
+            build: (count, random) => Array.from({ length: count }, () => ({
+                angle: random.next() * Math.PI * 2,
+                speed: random.next() * 6 + 1,
+                decay: random.next() * 0.008 + 0.008,
+                trailLength: 2,
+                flicker: true
+            }))
+        }
+    };
+    
+    /**
+     * @static
+     * @method has
+     * @description Проверяет, существует ли форма
+     * @param {string} name - Имя формы
+     * @returns {boolean}
+     */
+    static has(name) {
+        return Object.prototype.hasOwnProperty.call(FireworkShapes.SHAPES, name);
+    }
+    
+    /**
+     * @static
+     * @method getNames
+     * @description Возвращает имена всех форм
+     * @returns {string[]}
+     */
+    static getNames() {
+        return Object.keys(FireworkShapes.SHAPES);
+    }
+    
+    /**
+     * @static
+     * @method register
+     * @description Добавляет пользовательскую форму взрыва
+     * @param {string} name - Имя формы
+     * @param {Object} shape - { countFactor, weight, build(count, random) }
+     */
+    static register(name, shape) {
+        if (typeof shape.build !== 'function') {
+            console.error(`❌ Форма фейерверка "${name}" должна содержать функцию build`);
+            return;
+        }
+        
+        FireworkShapes.SHAPES[name] = { countFactor: 1, weight: 1, ...shape };
+    }
+    
+    /**
+     * @static
+     * @method pickRandom
+     * @description Выбирает форму с учетом весов
+     * @param {Object<string, number>|null} weights - Переопределение весов
+     * @param {Random} random - Генератор случайных чисел
+     * @returns {string}
+     */
+    static pickRandom(weights = null, random = new Random()) {
+        const entries = FireworkShapes.getNames()
+            .map(name => [name, weights ? (weights[name] || 0) : FireworkShapes.SHAPES[name].weight])
+            .filter(([, weight]) => weight > 0);
+        
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let threshold = random.next() * total;
+        
+        for (const [name, weight] of entries) {
+            threshold -= weight;
+            if (threshold < 0) return name;
+        }
+        
+        return 'sphere';
+    }
+    
+    /**
+     * @static
+     * @method build
+     * @description Возвращает параметры частиц для взрыва выбранной формы
+     * @param {string} name - Имя формы
+     * @param {number} particleCount - Базовое количество частиц
+     * @param {Random} random - Генератор случайных чисел
+     * @returns {Array<Object>}
+     */
+    static build(name, particleCount, random = new Random()) {
+        const shape = FireworkShapes.SHAPES[name];
+        
+        if (!shape) {
+            console.warn(`⚠️ Неизвестная форма фейерверка "${name}", используется шар`);
+            return FireworkShapes.build('sphere', particleCount, random);
+        }
+        
+        return shape.build(Math.max(Math.round(particleCount * shape.countFactor), 1), random);
+    }
+    
+    /**
+     * @static
+     * @method fromPoints
+     * @description Переводит точки контура в направления и скорости частиц
+     * @param {number} count - Количество частиц
+     * @param {Function} point - Функция (t от 0 до 1) => { x, y } в единичном масштабе
+     * @param {number} speed - Скорость, соответствующая единичному радиусу
+     * @param {Random} random - Генератор случайных чисел
+     * @returns {Array<Object>}
+     */
+    static fromPoints(count, point, speed, random) {
+        return Array.from({ length: count }, (_, index) => {
+            const { x, y } = point(index / count);
+            
+            // Небольшой разброс, чтобы контур не выглядел нарисованным по линейке
+            return {
+                angle: Math.atan2(y, x),
+                speed: Math.hypot(x, y) * speed * (0.97 + random.next() * 0.06)
+            };
+        });
+    }
+    
+    /**
+     * @static
+     * @method starVertex
+     * @description Вершина пятиконечной звезды (четные - внешние, нечетные - внутренние)
+     * @param {number} index - Номер вершины
+     * @returns {Object} - { x, y }
+     */
+    static starVertex(index) {
+        const angle = -Math.PI / 2 + index * Math.PI / 5;
+        const radius = index % 2 === 0 ? 1 : 0.45;
+        
+        return {
+            x: Math.cos(angle) * radius,
+            y: Math.sin(angle) * radius
+        };
+    }
+}
\ No newline at end of file
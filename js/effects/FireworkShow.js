@@ -0,0 +1,413 @@
+import { FireworkShapes } from './FireworkShapes.js';
+
+/**
+ * @file FireworkShow.js
+ * @class FireworkShow
+ * @description Проигрыватель сценария салюта: список реплик с временем, позицией, формой и цветом
+ */
+
+export class FireworkShow {
+    /**
+     * @static
+     * @description Минутный салют после полуночи. Время реплик - момент запуска ракеты от начала шоу,
+     * координаты - доли ширины и высоты экрана, {year} в тексте заменяется наступившим годом
+     * @type {Object}
+     */
+    static MIDNIGHT_SHOW = {
+        name: 'Полночь',
+        duration: 60000,
+        physics: 'calm',
+        cues: [
+            { at: 0, shape: 'sphere', x: 0.5, y: 0.35, spread: 0.6, count: 5, interval: 120 },
+            { at: 800, type: 'text', text: '{year}', x: 0.5, y: 0.3, color: 50 },
+            { at: 3500, shape: 'heart', x: 0.25, y: 0.35, color: 0 },
+            { at: 3500, shape: 'heart', x: 0.75, y: 0.35, color: 330 },
+            { at: 6000, shape: 'double_ring', x: 0.5, y: 0.3, spread: 0.5, count: 3 },
+            { at: 9000, shape: 'willow', x: 0.5, y: 0.25, spread: 0.7, count: 4, color: 45 },
+            { at: 13000, shape: 'star', x: 0.5, y: 0.3, spread: 0.5, count: 3, color: 55 },
+            { at: 16000, shape: 'palm', x: 0.5, y: 0.3, spread: 0.4, count: 2, color: 120 },
+            { at: 19000, shape: 'crossette', x: 0.5, y: 0.3, spread: 0.7, count: 4 },
+            { at: 22000, shape: 'glitter', x: 0.5, y: 0.35, spread: 0.8, count: 5 },
+            { at: 26000, shape: 'ring', x: 0.5, y: 0.35, spread: 0.8, count: 6, interval: 250 },
+            { at: 30000, type: 'text', text: 'С Новым годом!', x: 0.5, y: 0.3, color: 0 },
+            { at: 34000, shape: 'heart', x: 0.5, y: 0.4, spread: 0.6, count: 3, color: 340 },
+            { at: 38000, shape: 'willow', x: 0.5, y: 0.25, spread: 0.9, count: 6, color: 40 },
+            { at: 43000, shape: 'star', x: 0.5, y: 0.3, spread: 0.7, count: 4 },
+            { at: 47000, shape: 'double_ring', x: 0.5, y: 0.3, spread: 0.7, count: 4 },
+            { at: 51000, shape: 'sphere', x: 0.5, y: 0.35, spread: 0.9, count: 10, interval: 100 },
+            { at: 54000, shape: 'glitter', x: 0.5, y: 0.3, spread: 0.9, count: 8, interval: 100 },
+            { at: 56500, type: 'text', text: '{year}', x: 0.5, y: 0.3, color: 50 }
+        ]
+    };
+    
+    /**
+     * @static
+     * @method load
+     * @description Загружает сценарий из JSON-файла
+     * @param {string} url - Адрес файла
+     * @returns {Promise<Object|null>}
+     */
+    static async load(url) {
+        try {
+            const response = await fetch(url);
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error(`❌ Не удалось загрузить сценарий салюта "${url}":`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * @static
+     * @method normalize
+     * @description Проверяет сценарий и раскладывает реплики с count > 1 на отдельные запуски
+     * @param {Object} show - Сценарий { name, duration, physics, cues }
+     * @returns {Object} - { name, duration, physics, events } с событиями, отсортированными по времени
+     */
+    static normalize(show) {
+        const cues = show && Array.isArray(show.cues) ? show.cues : [];
+        const events = [];
+        
+        cues.forEach((cue, index) => {
+            const type = cue.type || 'firework';
+            
+            if (!Number.isFinite(cue.at) || cue.at < 0) {
+                console.warn(`⚠️ Реплика ${index} сценария салюта пропущена: некорректное время`);
+                return;
+            }
+            
+            if (type === 'text' && !cue.text) {
+                console.warn(`⚠️ Реплика ${index} сценария салюта пропущена: нет текста`);
+                return;
+            }
+            
+            if (type === 'firework' && cue.shape && !FireworkShapes.has(cue.shape)) {
+                console.warn(`⚠️ Неизвестная форма "${cue.shape}" в реплике ${index}`);
+            }
+            
+            const count = type === 'text' ? 1 : Math.max(Math.round(cue.count || 1), 1);
+            const interval = cue.interval ?? 150;
+            const spread = cue.spread || 0;
+            
+            for (let i = 0; i < count; i++) {
+                // Запуски серии равномерно распределяются по ширине spread вокруг x
+                const offset = count > 1 ? (i / (count - 1) - 0.5) * spread : 0;
+                
+                events.push({
+                    type,
+                    at: cue.at + i * interval,
+                    x: typeof cue.x === 'number' ? cue.x + offset : null,
+                    y: typeof cue.y === 'number' ? cue.y : null,
+                    shape: cue.shape || null,
+                    color: FireworkShow.normalizeColor(cue.color),
+                    text: cue.text || null
+                });
+            }
+        });
+        
+        events.sort((a, b) => a.at - b.at);
+        
+        const lastEvent = events.length ? events[events.length - 1].at : 0;
+        
+        return {
+            name: (show && show.name) || 'Салют',
+            duration: (show && show.duration) || lastEvent + 3000,
+            physics: (show && show.physics) || null,
+            events
+        };
+    }
+    
+    /**
+     * @static
+     * @method normalizeColor
+     * @description Приводит цвет реплики к формату палитры фейерверков
+     * @param {number|Object|undefined} color - Оттенок (0-360) или { hue, saturation }
+     * @returns {Object|null}
+     */
+    static normalizeColor(color) {
+        if (typeof color === 'number') {
+            return { hue: color, saturation: 100 };
+        }
+        
+        if (color && typeof color.hue === 'number') {
+            return { saturation: 100, ...color };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки проигрывателя
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            fireworks: null,
+            show: FireworkShow.MIDNIGHT_SHOW,
+            loop: false,
+            clock: null,
+            // Реплики, опоздавшие больше чем на это время (скрытая вкладка), пропускаются
+            catchUp: 1000,
+            variables: {},
+            onComplete: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.clock = this.settings.clock || { now: () => Date.now() };
+        this.timeline = FireworkShow.normalize(this.settings.show);
+        this.cursor = 0;
+        this.position = 0;
+        this.startTime = null;
+        this.isPlaying = false;
+        this.animationId = null;
+        this.savedSettings = null;
+        
+        this.tick = this.tick.bind(this);
+    }
+    
+    /**
+     * @method play
+     * @description Запускает или продолжает шоу с текущей позиции
+     */
+    play() {
+        if (this.isPlaying || !this.settings.fireworks) return;
+        
+        this.isPlaying = true;
+        this.startTime = this.clock.now() - this.position;
+        this.overrideSettings();
+        this.tick();
+    }
+    
+    /**
+     * @method playAt
+     * @description Привязывает начало шоу к моменту времени (например, к нулю отсчета)
+     * @param {number} timestamp - Время начала шоу по часам проигрывателя
+     * @returns {boolean} - Играет ли шоу (false, если оно уже закончилось)
+     */
+    playAt(timestamp) {
+        const position = this.clock.now() - timestamp;
+        
+        if (position >= this.getDuration() && !this.settings.loop) {
+            return false;
+        }
+        
+        this.seek(Math.max(position, 0));
+        
+        // Реплики, время которых наступило только что, еще успевают сыграть
+        const events = this.timeline.events;
+        while (this.cursor > 0 && position - events[this.cursor - 1].at <= this.settings.catchUp) {
+            this.cursor--;
+        }
+        
+        this.play();
+        return true;
+    }
+    
+    /**
+     * @method pause
+     * @description Приостанавливает шоу
+     */
+    pause() {
+        if (!this.isPlaying) return;
+        
+        this.position = this.getPosition();
+        this.isPlaying = false;
+        this.cancelFrame();
+        this.restoreSettings();
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает шоу и возвращает его в начало
+     */
+    stop() {
+        this.pause();
+        this.seek(0);
+    }
+    
+    /**
+     * @method seek
+     * @description Переходит к позиции; пропущенные реплики не запускаются
+     * @param {number} position - Позиция в миллисекундах от начала
+     */
+    seek(position) {
+        const events = this.timeline.events;
+        
+        this.position = Math.min(Math.max(position, 0), this.getDuration());
+        this.cursor = events.findIndex(event => event.at >= this.position);
+        
+        if (this.cursor === -1) {
+            this.cursor = events.length;
+        }
+        
+        if (this.isPlaying) {
+            this.startTime = this.clock.now() - this.position;
+        }
+    }
+    
+    /**
+     * @method getPosition
+     * @description Текущая позиция шоу в миллисекундах
+     * @returns {number}
+     */
+    getPosition() {
+        return this.isPlaying ? this.clock.now() - this.startTime : this.position;
+    }
+    
+    /**
+     * @method getDuration
+     * @description Длительность шоу в миллисекундах
+     * @returns {number}
+     */
+    getDuration() {
+        return this.timeline.duration;
+    }
+    
+    /**
+     * @method setVariables
+     * @description Задает значения для подстановки в тексты реплик ({year} и т.п.)
+     * @param {Object} variables - Значения переменных
+     */
+    setVariables(variables) {
+        this.settings.variables = { ...this.settings.variables, ...variables };
+    }
+    
+    /**
+     * @method tick
+     * @description Запускает реплики, время которых наступило
+     */
+    tick() {
+        if (!this.isPlaying) return;
+        
+        const position = this.getPosition();
+        const events = this.timeline.events;
+        
+        while (this.cursor < events.length && events[this.cursor].at <= position) {
+            const event = events[this.cursor++];
+            
+            if (position - event.at <= this.settings.catchUp) {
+                this.fire(event);
+            }
+        }
+        
+        if (position >= this.getDuration()) {
+            if (this.settings.loop) {
+                this.seek(position % this.getDuration());
+            } else {
+                this.complete();
+                return;
+            }
+        }
+        
+        this.animationId = requestAnimationFrame(this.tick);
+    }
+    
+    /**
+     * @method fire
+     * @description Выполняет одну реплику
+     * @param {Object} event - Событие сценария
+     */
+    fire(event) {
+        const fireworks = this.settings.fireworks;
+        const { width, height } = fireworks.getSize();
+        
+        if (!fireworks.isRunning && !document.hidden) {
+            fireworks.start();
+        }
+        
+        const x = event.x !== null ? event.x * width : null;
+        const y = event.y !== null ? event.y * height : null;
+        
+        if (event.type === 'text') {
+            fireworks.spawnText(this.formatText(event.text), {
+                ...(x !== null && { x }),
+                ...(y !== null && { y }),
+                ...(event.color && { color: event.color })
+            });
+        } else {
+            fireworks.spawnFirework(x, y, event.color, event.shape);
+        }
+    }
+    
+    /**
+     * @method formatText
+     * @description Подставляет переменные в текст реплики
+     * @param {string} text - Текст с заполнителями вида {year}
+     * @returns {string}
+     */
+    formatText(text) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            const value = this.settings.variables[name];
+            return value !== undefined ? String(value) : match;
+        });
+    }
+    
+    /**
+     * @method complete
+     * @description Завершает шоу
+     */
+    complete() {
+        this.isPlaying = false;
+        this.position = this.getDuration();
+        this.cancelFrame();
+        this.restoreSettings();
+        
+        if (typeof this.settings.onComplete === 'function') {
+            this.settings.onComplete();
+        }
+    }
+    
+    /**
+     * @method overrideSettings
+     * @description Отключает случайные залпы, чтобы они не мешали сценарию,
+     * и включает погоду сценария
+     */
+    overrideSettings() {
+        if (this.savedSettings !== null) return;
+        
+        const fireworks = this.settings.fireworks;
+        const { physics } = this.timeline;
+        
+        this.savedSettings = {
+            autoSpawn: fireworks.settings.autoSpawn,
+            ...(physics && { physics: fireworks.settings.physics })
+        };
+        
+        fireworks.configure({ autoSpawn: false, ...(physics && { physics }) });
+    }
+    
+    /**
+     * @method restoreSettings
+     * @description Возвращает случайные залпы и погоду после шоу
+     */
+    restoreSettings() {
+        if (this.savedSettings !== null) {
+            this.settings.fireworks.configure(this.savedSettings);
+            this.savedSettings = null;
+        }
+    }
+    
+    /**
+     * @method cancelFrame
+     * @description Отменяет запланированный кадр
+     */
+    cancelFrame() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
+    /**
+     * @method destroy
+     * @description Останавливает шоу
+     */
+    destroy() {
+        this.pause();
+    }
+}
\ No newline at end of file
@@ -1,56 +1,58 @@
+import { Random } from '../core/Random.js';
+import { FireworksEngine } from './FireworksEngine.js';
+import { FireworkShow } from './FireworkShow.js';
+
 /**
  * @file Fireworks.js
  * @class Fireworks
- * @description Система новогодних фейерверков
+ * @description Система новогодних фейерверков. Симуляция и отрисовка выполняются
+ * в Web Worker на OffscreenCanvas, а без его поддержки - в основном потоке
  */
 
 export class Fireworks {
     /**
      * @constructor
-     * @param {Object} options - Настройки фейерверков
+     * @param {Object} options - Настройки фейерверков (см. также FireworksEngine.DEFAULTS)
      */
     constructor(options = {}) {
         this.defaults = {
             canvasId: 'fireworks-canvas',
-            particleCount: 120,
-            minDelay: 80,
-            maxDelay: 150,
-            simultaneousFireworks: 8,
-            fireworksPerBurst: 8,
-            colors: [
-                { hue: 0, saturation: 100 },    // Красный
-                { hue: 15, saturation: 100 },   // Оранжево-красный
-                { hue: 30, saturation: 100 },   // Оранжевый
-                { hue: 45, saturation: 100 },   // Желто-оранжевый
-                { hue: 60, saturation: 100 },   // Желтый
-                { hue: 120, saturation: 100 },  // Зеленый
-                { hue: 180, saturation: 100 },  // Голубой
-                { hue: 200, saturation: 100 },  // Сине-голубой
-                { hue: 240, saturation: 100 },  // Синий
-                { hue: 270, saturation: 80 },   // Фиолетовый
-                { hue: 300, saturation: 80 },   // Розовый
-                { hue: 330, saturation: 80 },   // Красно-розовый
-                { hue: 50, saturation: 100 },   // Золотой
-                { hue: 220, saturation: 30 },   // Серебристый
-                { hue: 40, saturation: 90 },    // Янтарный
-                { hue: 150, saturation: 70 }    // Изумрудный
-            ]
+            bus: null,
+            // Генератор случайных чисел; с общим зерном салют воспроизводится один в один
+            random: null,
+            // Рисовать в Web Worker, если браузер умеет передавать canvas в OffscreenCanvas
+            useWorker: true,
+            // Предел плотности пикселей: выше 2 разница почти не видна, а пикселей вчетверо больше
+            maxPixelRatio: 2,
+            // Задержка пересчета размера после последнего события resize, мс
+            resizeDelay: 150,
+            ...FireworksEngine.DEFAULTS
         };
         
         this.settings = { ...this.defaults, ...options };
+        this.random = this.settings.random || new Random();
         this.canvas = null;
-        this.ctx = null;
+        this.engine = null;
+        this.worker = null;
+        this.isWorkerReady = false;
         this.isRunning = false;
-        this.fireworks = [];
-        this.particles = [];
-        this.animationId = null;
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.resizeTimeoutId = null;
+        this.pixelRatioQuery = null;
+        
+        this.handleResize = this.handleResize.bind(this);
+        this.handlePixelRatioChange = this.handlePixelRatioChange.bind(this);
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+        this.handleClick = this.handleClick.bind(this);
         
         this.initializeCanvas();
     }
     
     /**
      * @method initializeCanvas
-     * @description Инициализирует canvas для фейерверков
+     * @description Находит canvas и выбирает, где выполнять симуляцию
      */
     initializeCanvas() {
         this.canvas = document.getElementById(this.settings.canvasId);
@@ -60,152 +62,239 @@ export class Fireworks {
             return;
         }
         
-        this.ctx = this.canvas.getContext('2d');
-        this.resizeCanvas();
+        this.canvas.style.backgroundColor = 'transparent';
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.pixelRatio = this.getPixelRatio();
+        
+        if (!this.settings.useWorker || !this.startWorker()) {
+            this.startEngine();
+        }
         
         // Обработчик изменения размера окна
-        window.addEventListener('resize', () => this.resizeCanvas());
+        window.addEventListener('resize', this.handleResize);
+        this.watchPixelRatio();
         
         // Обработчик кликов для ручного запуска фейерверков
-        document.addEventListener('click', (e) => this.handleClick(e));
+        document.addEventListener('click', this.handleClick);
     }
     
     /**
-     * @method resizeCanvas
-     * @description Изменяет размер canvas при изменении размера окна
+     * @method startWorker
+     * @description Передает canvas воркеру
+     * @returns {boolean} - Удалось ли запустить воркер
      */
-    resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.canvas.style.backgroundColor = 'transparent';
-    }
-    
-    /**
-     * @method start
-     * @description Запускает систему фейерверков
-     */
-    start() {
-        if (this.isRunning || !this.ctx) return;
+    startWorker() {
+        if (typeof Worker === 'undefined' || typeof this.canvas.transferControlToOffscreen !== 'function') {
+            return false;
+        }
         
-        this.isRunning = true;
-        this.fireworks = [];
-        this.particles = [];
+        try {
+            this.worker = new Worker(new URL('./FireworksWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('⚠️ Не удалось создать воркер фейерверков:', error);
+            return false;
+        }
         
-        this.loop();
-        console.log('🎆 Система фейерверков запущена');
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => this.handleWorkerError(event);
+        
+        const offscreen = this.canvas.transferControlToOffscreen();
+        
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            width: this.width,
+            height: this.height,
+            pixelRatio: this.pixelRatio,
+            seed: this.random.getSeed(),
+            settings: this.getEngineSettings()
+        }, [offscreen]);
+        
+        console.log('🧵 Фейерверки отрисовываются в Web Worker');
+        return true;
     }
     
     /**
-     * @method stop
-     * @description Останавливает систему фейерверков
+     * @method startEngine
+     * @description Запускает симуляцию в основном потоке
      */
-    stop() {
-        this.isRunning = false;
+    startEngine() {
+        this.engine = new FireworksEngine(this.canvas, {
+            ...this.getEngineSettings(),
+            random: this.random,
+            onEvent: (name, payload) => this.emit(name, payload)
+        });
         
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
+        this.engine.resize(this.width, this.height, this.pixelRatio);
         
-        if (this.ctx) {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.isRunning) {
+            this.engine.start();
         }
-        
-        console.log('🎆 Система фейерверков остановлена');
     }
     
     /**
-     * @method pause
-     * @description Приостанавливает фейерверки
+     * @method getEngineSettings
+     * @description Возвращает настройки симуляции, которые можно передать воркеру
+     * @returns {Object}
      */
-    pause() {
-        this.isRunning = false;
+    getEngineSettings() {
+        const { canvasId, bus, random, useWorker, maxPixelRatio, resizeDelay, ...settings } = this.settings;
+        return settings;
     }
     
     /**
-     * @method resume
-     * @description Возобновляет фейерверки
+     * @method handleWorkerMessage
+     * @description Обрабатывает сообщения воркера
+     * @param {Object} message - { type, ... }
      */
-    resume() {
-        if (!this.isRunning) {
-            this.isRunning = true;
-            this.loop();
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.isWorkerReady = true;
+                break;
+            case 'event':
+                this.emit(message.name, message.payload);
+                break;
+            case 'error':
+                console.error('❌ Воркер фейерверков сообщил об ошибке:', message.message);
+                break;
         }
     }
     
     /**
-     * @method loop
-     * @description Главный цикл анимации
+     * @method handleWorkerError
+     * @description Переходит в основной поток, если воркер не смог запуститься
+     * @param {ErrorEvent} event - Ошибка воркера
      */
-    loop() {
-        if (!this.isRunning) return;
+    handleWorkerError(event) {
+        console.error('❌ Ошибка воркера фейерверков:', event.message);
         
-        // Очистка canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (this.isWorkerReady) return;
         
-        // Обновление и отрисовка фейерверков
-        this.updateFireworks();
-        this.updateParticles();
+        event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
         
-        // Автоматический запуск фейерверков
-        this.autoSpawn();
+        // Управление переданным холстом вернуть нельзя, поэтому он заменяется копией
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
         
-        // Следующий кадр
-        this.animationId = requestAnimationFrame(() => this.loop());
+        console.warn('⚠️ Фейерверки переведены в основной поток');
+        this.startEngine();
     }
     
     /**
-     * @method updateFireworks
-     * @description Обновляет состояние фейерверков
+     * @method send
+     * @description Отправляет команду воркеру или выполняет ее в основном потоке
+     * @param {string} type - Имя команды (start, pause, resume, resize, click, spawn, ...)
+     * @param {Object} data - Параметры команды
      */
-    updateFireworks() {
-        for (let i = this.fireworks.length - 1; i >= 0; i--) {
-            const firework = this.fireworks[i];
-            
-            // Отрисовка
-            firework.draw();
-            
-            // Обновление
-            if (firework.update()) {
-                // Создание частиц при взрыве
-                this.createParticles(firework.x, firework.y, firework.color);
-                this.fireworks.splice(i, 1);
-            }
+    send(type, data = {}) {
+        if (this.worker) {
+            this.worker.postMessage({ type, ...data });
+        } else if (this.engine) {
+            this.engine.dispatch(type, data);
         }
     }
     
     /**
-     * @method updateParticles
-     * @description Обновляет состояние частиц
+     * @method handleResize
+     * @description Откладывает пересчет размера, пока окно меняется (поворот, перетаскивание края)
      */
-    updateParticles() {
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const particle = this.particles[i];
-            
-            // Отрисовка
-            particle.draw();
-            
-            // Обновление
-            if (particle.update()) {
-                this.particles.splice(i, 1);
-            }
-        }
+    handleResize() {
+        clearTimeout(this.resizeTimeoutId);
+        this.resizeTimeoutId = setTimeout(this.resizeCanvas, this.settings.resizeDelay);
+    }
+    
+    /**
+     * @method resizeCanvas
+     * @description Изменяет размер canvas под окно и плотность пикселей экрана
+     */
+    resizeCanvas() {
+        this.resizeTimeoutId = null;
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.pixelRatio = this.getPixelRatio();
+        this.send('resize', { width: this.width, height: this.height, pixelRatio: this.pixelRatio });
+    }
+    
+    /**
+     * @method getPixelRatio
+     * @description Возвращает плотность пикселей экрана с учетом предела maxPixelRatio
+     * @returns {number}
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.settings.maxPixelRatio);
+    }
+    
+    /**
+     * @method watchPixelRatio
+     * @description Следит за сменой плотности пикселей (перенос окна на другой монитор, масштаб страницы)
+     */
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+        
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.pixelRatioQuery.addEventListener('change', this.handlePixelRatioChange, { once: true });
+    }
+    
+    /**
+     * @method handlePixelRatioChange
+     * @description Пересчитывает размер под новую плотность и следит за следующей сменой
+     */
+    handlePixelRatioChange() {
+        this.resizeCanvas();
+        this.watchPixelRatio();
+    }
+    
+    /**
+     * @method getSize
+     * @description Возвращает размер области фейерверков
+     * @returns {Object} - { width, height }
+     */
+    getSize() {
+        return { width: this.width, height: this.height };
+    }
+    
+    /**
+     * @method start
+     * @description Запускает систему фейерверков
+     */
+    start() {
+        if (this.isRunning || !this.canvas) return;
+        
+        this.isRunning = true;
+        this.send('start');
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает систему фейерверков
+     */
+    stop() {
+        this.isRunning = false;
+        this.send('stop');
     }
     
     /**
-     * @method autoSpawn
-     * @description Автоматически создает фейерверки
+     * @method pause
+     * @description Приостанавливает фейерверки
      */
-    autoSpawn() {
-        if (this.fireworks.length < this.settings.simultaneousFireworks) {
-            const needed = Math.min(
-                this.settings.simultaneousFireworks - this.fireworks.length,
-                this.settings.fireworksPerBurst
-            );
-            
-            if (needed > 0) {
-                this.spawnBurst(needed);
-            }
+    pause() {
+        this.isRunning = false;
+        this.send('pause');
+    }
+    
+    /**
+     * @method resume
+     * @description Возобновляет фейерверки
+     */
+    resume() {
+        if (!this.isRunning && this.canvas) {
+            this.isRunning = true;
+            this.send('resume');
         }
     }
     
@@ -215,45 +304,30 @@ export class Fireworks {
      * @param {number} x - X координата цели
      * @param {number} y - Y координата цели
      * @param {Object} color - Цвет фейерверка
+     * @param {string} shape - Форма взрыва из FireworkShapes (по умолчанию случайная)
      */
-    spawnFirework(x, y, color = null) {
-        const startX = this.randomRange(150, this.canvas.width - 150);
-        const startY = this.canvas.height + 30;
-        const targetX = x || this.randomRange(100, this.canvas.width - 100);
-        const targetY = y || this.randomRange(150, this.canvas.height * 0.5);
-        const fireworkColor = color || this.getRandomColor();
-        
-        this.fireworks.push(
-            new FireworkParticle(startX, startY, targetX, targetY, this.ctx, fireworkColor)
-        );
+    spawnFirework(x, y, color = null, shape = null) {
+        this.send('spawn', { x, y, color, shape });
     }
     
     /**
-     * @method spawnBurst
-     * @description Создает серию фейерверков
-     * @param {number} count - Количество фейерверков
+     * @method spawnText
+     * @description Запускает фейерверк, частицы которого складываются в текст
+     * @param {string} text - Текст, числа или эмодзи
+     * @param {Object} options - { x, y, fontSize, fontFamily, color, step, maxPoints, launch }
      */
-    spawnBurst(count = 5) {
-        for (let i = 0; i < count; i++) {
-            setTimeout(() => {
-                this.spawnFirework();
-            }, i * 150);
-        }
+    spawnText(text, options = {}) {
+        this.send('spawnText', { text, options });
     }
     
     /**
-     * @method createParticles
-     * @description Создает частицы при взрыве фейерверка
-     * @param {number} x - X координата взрыва
-     * @param {number} y - Y координата взрыва
-     * @param {Object} color - Цвет частиц
+     * @method spawnBurst
+     * @description Создает серию фейерверков
+     * @param {number} count - Количество фейерверков
+     * @param {string} shape - Форма взрыва для всей серии (по умолчанию случайная для каждого)
      */
-    createParticles(x, y, color) {
-        for (let i = 0; i < this.settings.particleCount; i++) {
-            this.particles.push(
-                new ExplosionParticle(x, y, this.ctx, color)
-            );
-        }
+    spawnBurst(count = 5, shape = null) {
+        this.send('spawnBurst', { count, shape });
     }
     
     /**
@@ -264,41 +338,49 @@ export class Fireworks {
     handleClick(event) {
         if (!this.isRunning || event.target.tagName === 'BUTTON') return;
         
-        this.spawnFirework(event.clientX, event.clientY);
+        this.send('click', { x: event.clientX, y: event.clientY });
     }
     
     /**
-     * @method getRandomColor
-     * @description Возвращает случайный цвет из палитры
-     * @returns {Object}
+     * @method configure
+     * @description Обновляет настройки на лету (интенсивность, количество частиц)
+     * @param {Object} options - Новые значения настроек
      */
-    getRandomColor() {
-        return this.settings.colors[
-            Math.floor(Math.random() * this.settings.colors.length)
-        ];
+    configure(options = {}) {
+        this.settings = { ...this.settings, ...options };
+        this.send('configure', { options });
     }
     
     /**
-     * @method randomRange
-     * @description Генерирует случайное число в диапазоне
-     * @param {number} min - Минимальное значение
-     * @param {number} max - Максимальное значение
-     * @returns {number}
+     * @method emit
+     * @description Отправляет событие, если фейерверки подключены к шине
+     * @param {string} eventName - Имя события
+     * @param {Object} payload - Данные события
      */
-    randomRange(min, max) {
-        return Math.random() * (max - min) + min;
+    emit(eventName, payload) {
+        if (this.settings.bus) {
+            this.settings.bus.emit(eventName, payload);
+        }
+    }
+    
+    /**
+     * @method loadShow
+     * @description Создает проигрыватель сценария салюта для этих фейерверков
+     * @param {Object} show - Сценарий { name, duration, cues }
+     * @param {Object} options - Настройки FireworkShow (loop, clock, variables, onComplete)
+     * @returns {FireworkShow}
+     */
+    loadShow(show, options = {}) {
+        return new FireworkShow({ ...options, show, fireworks: this });
     }
     
     /**
      * @method massiveCelebration
      * @description Запускает масштабное празднование
+     * @param {string|null} text - Надпись в небе (по умолчанию текущий год, null - без надписи)
      */
-    massiveCelebration() {
-        this.spawnBurst(15);
-        
-        // Дополнительные эффекты
-        setTimeout(() => this.spawnBurst(10), 1000);
-        setTimeout(() => this.spawnBurst(8), 2000);
+    massiveCelebration(text = String(new Date().getFullYear())) {
+        this.send('celebrate', { text });
     }
     
     /**
@@ -307,171 +389,23 @@ export class Fireworks {
      */
     destroy() {
         this.stop();
-        window.removeEventListener('resize', () => this.resizeCanvas());
-        document.removeEventListener('click', (e) => this.handleClick(e));
-    }
-}
-
-/**
- * @class FireworkParticle
- * @description Частица фейерверка (полет)
- */
-class FireworkParticle {
-    constructor(x1, y1, x2, y2, ctx, color) {
-        this.x = x1;
-        this.y = y1;
-        this.startX = x1;
-        this.startY = y1;
-        this.targetX = x2;
-        this.targetY = y2;
-        this.ctx = ctx;
-        this.color = color;
-        
-        this.initialize();
-    }
-    
-    initialize() {
-        this.coordinates = [];
-        this.coordinateCount = 3;
+        window.removeEventListener('resize', this.handleResize);
+        clearTimeout(this.resizeTimeoutId);
+        document.removeEventListener('click', this.handleClick);
         
-        while (this.coordinateCount--) {
-            this.coordinates.push([this.x, this.y]);
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.handlePixelRatioChange);
+            this.pixelRatioQuery = null;
         }
         
-        this.angle = Math.atan2(this.targetY - this.startY, this.targetX - this.startX);
-        this.speed = 2;
-        this.acceleration = 1.02;
-        this.brightness = Math.floor(Math.random() * 20) + 70;
-        this.distance = this.calculateDistance();
-        this.currentDistance = 0;
-    }
-    
-    calculateDistance() {
-        const dx = this.targetX - this.startX;
-        const dy = this.targetY - this.startY;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-    
-    update() {
-        // Сохраняем координаты для трейла
-        this.coordinates.pop();
-        this.coordinates.unshift([this.x, this.y]);
-        
-        // Ускорение
-        this.speed *= this.acceleration;
-        const vx = Math.cos(this.angle) * this.speed;
-        const vy = Math.sin(this.angle) * this.speed;
-        
-        // Обновление позиции
-        this.x += vx;
-        this.y += vy;
-        
-        // Расчет пройденного расстояния
-        const dx = this.x - this.startX;
-        const dy = this.y - this.startY;
-        this.currentDistance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Проверка достижения цели
-        return this.currentDistance >= this.distance;
-    }
-    
-    draw() {
-        if (this.coordinates.length < 2) return;
-        
-        const last = this.coordinates.length - 1;
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.coordinates[last][0], this.coordinates[last][1]);
-        this.ctx.lineTo(this.x, this.y);
-        
-        const gradient = this.ctx.createLinearGradient(
-            this.coordinates[last][0], this.coordinates[last][1],
-            this.x, this.y
-        );
-        
-        gradient.addColorStop(0, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, 0.9)`);
-        gradient.addColorStop(1, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, 0.1)`);
-        
-        this.ctx.strokeStyle = gradient;
-        this.ctx.lineWidth = 2.5;
-        this.ctx.lineCap = 'round';
-        this.ctx.stroke();
-    }
-}
-
-/**
- * @class ExplosionParticle
- * @description Частица взрыва фейерверка
- */
-class ExplosionParticle {
-    constructor(x, y, ctx, color) {
-        this.x = x;
-        this.y = y;
-        this.ctx = ctx;
-        this.color = color;
-        
-        this.initialize();
-    }
-    
-    initialize() {
-        this.coordinates = [];
-        this.coordinateCount = 5;
-        
-        while (this.coordinateCount--) {
-            this.coordinates.push([this.x, this.y]);
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
         }
         
-        this.angle = Math.random() * Math.PI * 2;
-        this.speed = Math.random() * 9 + 1;
-        this.friction = 0.95;
-        this.gravity = 0.6;
-        this.brightness = Math.floor(Math.random() * 25) + 70;
-        this.alpha = Math.random() * 0.1 + 0.9;
-        this.decay = Math.random() * 0.015 + 0.01;
-    }
-    
-    update() {
-        // Сохраняем координаты для трейла
-        this.coordinates.pop();
-        this.coordinates.unshift([this.x, this.y]);
-        
-        // Замедление
-        this.speed *= this.friction;
-        
-        // Движение
-        this.x += Math.cos(this.angle) * this.speed;
-        this.y += Math.sin(this.angle) * this.speed + this.gravity;
-        
-        // Затухание
-        this.alpha -= this.decay;
-        
-        return this.alpha <= 0.01;
-    }
-    
-    draw() {
-        if (this.coordinates.length < 2 || this.alpha <= 0) return;
-        
-        const last = this.coordinates.length - 1;
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.coordinates[last][0], this.coordinates[last][1]);
-        this.ctx.lineTo(this.x, this.y);
-        
-        const gradient = this.ctx.createLinearGradient(
-            this.coordinates[last][0], this.coordinates[last][1],
-            this.x, this.y
-        );
-        
-        gradient.addColorStop(0, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, ${this.alpha})`);
-        gradient.addColorStop(1, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, ${this.alpha * 0.3})`);
-        
-        this.ctx.strokeStyle = gradient;
-        this.ctx.lineWidth = this.alpha * 2.5;
-        this.ctx.lineCap = 'round';
-        this.ctx.stroke();
-        
-        // Яркое ядро
-        this.ctx.beginPath();
-        this.ctx.arc(this.x, this.y, this.alpha * 2, 0, Math.PI * 2);
-        this.ctx.fillStyle = `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, ${this.alpha * 0.6})`;
-        this.ctx.fill();
+        if (this.engine) {
+            this.engine.destroy();
+            this.engine = null;
+        }
     }
 }
\ No newline at end of file
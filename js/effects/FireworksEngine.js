@@ -0,0 +1,1025 @@
+import { EventBus } from '../core/EventBus.js';
+import { Random } from '../core/Random.js';
+import { FireworkShapes } from './FireworkShapes.js';
+import { FireworkPhysics } from './FireworkPhysics.js';
+import { ParticlePool } from './ParticlePool.js';
+
+/**
+ * @file FireworksEngine.js
+ * @class FireworksEngine
+ * @description Симуляция и отрисовка фейерверков без обращения к DOM.
+ * Работает с обычным canvas в основном потоке и с OffscreenCanvas в Web Worker
+ */
+
+export class FireworksEngine {
+    /**
+     * @static
+     * @description Настройки симуляции по умолчанию (общие для Fireworks и воркера)
+     * @type {Object}
+     */
+    static DEFAULTS = {
+        particleCount: 120,
+        // Доля частиц и одновременных ракет от настроек выше (QualityGovernor снижает ее на слабых устройствах)
+        qualityScale: 1,
+        // Жесткий предел частиц взрыва: пул создается заранее и во время салюта не растет
+        maxParticles: 3000,
+        // Заполнение пула, после которого новые взрывы беднеют, а автозапуск ждет
+        degradeAt: 0.75,
+        minDelay: 80,
+        maxDelay: 150,
+        simultaneousFireworks: 8,
+        fireworksPerBurst: 8,
+        // Случайные залпы в цикле анимации (отключаются на время сценария салюта)
+        autoSpawn: true,
+        // Веса форм при случайном выборе, например { ring: 2, heart: 1 }; null - веса библиотеки
+        shapeWeights: null,
+        // Погода: пресет FireworkPhysics (classic, calm, stormy) или { preset, wind, drag, ... }
+        physics: 'classic',
+        colors: [
+            { hue: 0, saturation: 100 },    // Красный
+            { hue: 15, saturation: 100 },   // Оранжево-красный
+            { hue: 30, saturation: 100 },   // Оранжевый
+            { hue: 45, saturation: 100 },   // Желто-оранжевый
+            { hue: 60, saturation: 100 },   // Желтый
+            { hue: 120, saturation: 100 },  // Зеленый
+            { hue: 180, saturation: 100 },  // Голубой
+            { hue: 200, saturation: 100 },  // Сине-голубой
+            { hue: 240, saturation: 100 },  // Синий
+            { hue: 270, saturation: 80 },   // Фиолетовый
+            { hue: 300, saturation: 80 },   // Розовый
+            { hue: 330, saturation: 80 },   // Красно-розовый
+            { hue: 50, saturation: 100 },   // Золотой
+            { hue: 220, saturation: 30 },   // Серебристый
+            { hue: 40, saturation: 90 },    // Янтарный
+            { hue: 150, saturation: 70 }    // Изумрудный
+        ]
+    };
+    
+    /**
+     * @constructor
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Холст для отрисовки
+     * @param {Object} options - Настройки симуляции
+     */
+    constructor(canvas, options = {}) {
+        this.defaults = {
+            ...FireworksEngine.DEFAULTS,
+            // Генератор случайных чисел; с общим зерном салют воспроизводится один в один
+            random: null,
+            // Получатель событий запуска и взрыва: (eventName, payload) => {}
+            onEvent: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.random = this.settings.random || new Random();
+        this.physics = new FireworkPhysics(this.settings.physics, this.random);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        // Логический размер в CSS-пикселях, задается в resize()
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.isRunning = false;
+        this.fireworks = [];
+        this.particles = new ParticlePool(
+            this.settings.maxParticles,
+            () => new ExplosionParticle(this.ctx, this.random, this.physics)
+        );
+        this.isDegraded = false;
+        this.animationId = null;
+        this.textPointsCache = new Map();
+        
+        // Команды протокола, одинаковые для воркера и основного потока
+        this.commands = {
+            start: () => this.start(),
+            stop: () => this.stop(),
+            pause: () => this.pause(),
+            resume: () => this.resume(),
+            resize: ({ width, height, pixelRatio }) => this.resize(width, height, pixelRatio),
+            click: ({ x, y }) => this.handleClick(x, y),
+            spawn: ({ x, y, color, shape }) => this.spawnFirework(x, y, color, shape),
+            spawnText: ({ text, options }) => this.spawnText(text, options),
+            spawnBurst: ({ count, shape }) => this.spawnBurst(count, shape),
+            celebrate: ({ text }) => this.massiveCelebration(text),
+            configure: ({ options }) => this.configure(options)
+        };
+    }
+    
+    /**
+     * @method dispatch
+     * @description Выполняет команду протокола
+     * @param {string} type - Имя команды
+     * @param {Object} data - Параметры команды
+     */
+    dispatch(type, data = {}) {
+        const command = this.commands[type];
+        
+        if (!command) {
+            console.warn(`⚠️ Неизвестная команда фейерверков "${type}"`);
+            return;
+        }
+        
+        command(data);
+    }
+    
+    /**
+     * @method resize
+     * @description Изменяет размер холста с учетом плотности пикселей экрана
+     * и переносит летящие ракеты и частицы в новые пропорции (например, после поворота)
+     * @param {number} width - Ширина в CSS-пикселях
+     * @param {number} height - Высота в CSS-пикселях
+     * @param {number} pixelRatio - Физических пикселей на CSS-пиксель
+     */
+    resize(width, height, pixelRatio = 1) {
+        const scaleX = this.width ? width / this.width : 1;
+        const scaleY = this.height ? height / this.height : 1;
+        
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(width * pixelRatio);
+        this.canvas.height = Math.round(height * pixelRatio);
+        
+        // Изменение размера сбрасывает трансформацию; симуляция считает в CSS-пикселях
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        
+        if (scaleX !== 1 || scaleY !== 1) {
+            this.rescale(scaleX, scaleY);
+        }
+    }
+    
+    /**
+     * @method rescale
+     * @description Масштабирует координаты активных ракет и частиц
+     * @param {number} scaleX - Коэффициент по горизонтали
+     * @param {number} scaleY - Коэффициент по вертикали
+     */
+    rescale(scaleX, scaleY) {
+        this.fireworks.forEach(firework => firework.rescale(scaleX, scaleY));
+        
+        for (let i = 0; i < this.particles.size; i++) {
+            this.particles.items[i].rescale(scaleX, scaleY);
+        }
+    }
+    
+    /**
+     * @method start
+     * @description Запускает систему фейерверков
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.fireworks = [];
+        this.particles.clear();
+        
+        this.loop();
+        console.log('🎆 Система фейерверков запущена');
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает систему фейерверков
+     */
+    stop() {
+        this.isRunning = false;
+        this.cancelFrame();
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        console.log('🎆 Система фейерверков остановлена');
+    }
+    
+    /**
+     * @method pause
+     * @description Приостанавливает фейерверки
+     */
+    pause() {
+        this.isRunning = false;
+        this.cancelFrame();
+    }
+    
+    /**
+     * @method resume
+     * @description Возобновляет фейерверки
+     */
+    resume() {
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this.loop();
+        }
+    }
+    
+    /**
+     * @method loop
+     * @description Главный цикл анимации
+     */
+    loop() {
+        if (!this.isRunning) return;
+        
+        // Очистка canvas
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        
+        // Ветер меняется со временем
+        this.physics.update(performance.now());
+        
+        // Обновление и отрисовка фейерверков
+        this.updateFireworks();
+        this.updateParticles();
+        
+        // Автоматический запуск фейерверков
+        if (this.settings.autoSpawn) {
+            this.autoSpawn();
+        }
+        
+        // Следующий кадр
+        this.animationId = this.requestFrame(() => this.loop());
+    }
+    
+    /**
+     * @method requestFrame
+     * @description Планирует кадр; в воркерах без requestAnimationFrame - по таймеру
+     * @param {Function} callback - Функция кадра
+     * @returns {number}
+     */
+    requestFrame(callback) {
+        if (typeof requestAnimationFrame === 'function') {
+            return requestAnimationFrame(callback);
+        }
+        
+        return setTimeout(callback, 1000 / 60);
+    }
+    
+    /**
+     * @method cancelFrame
+     * @description Отменяет запланированный кадр
+     */
+    cancelFrame() {
+        if (!this.animationId) return;
+        
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(this.animationId);
+        } else {
+            clearTimeout(this.animationId);
+        }
+        
+        this.animationId = null;
+    }
+    
+    /**
+     * @method updateFireworks
+     * @description Обновляет состояние фейерверков
+     */
+    updateFireworks() {
+        for (let i = this.fireworks.length - 1; i >= 0; i--) {
+            const firework = this.fireworks[i];
+            
+            // Отрисовка
+            firework.draw();
+            
+            // Обновление
+            if (firework.update()) {
+                // Создание частиц при взрыве
+                if (firework.textPoints) {
+                    this.createTextParticles(firework.x, firework.y, firework.color, firework.textPoints);
+                } else {
+                    this.createParticles(firework.x, firework.y, firework.color, firework.shape);
+                }
+                
+                // Порядок ракет не важен, поэтому удаляем перестановкой с последней
+                this.fireworks[i] = this.fireworks[this.fireworks.length - 1];
+                this.fireworks.pop();
+            }
+        }
+    }
+    
+    /**
+     * @method updateParticles
+     * @description Обновляет состояние частиц
+     */
+    updateParticles() {
+        const pool = this.particles;
+        
+        for (let i = pool.size - 1; i >= 0; i--) {
+            const particle = pool.items[i];
+            
+            // Отрисовка
+            particle.draw();
+            
+            // Обновление
+            if (particle.update()) {
+                if (particle.hasSplit) {
+                    this.splitParticle(particle);
+                }
+                
+                pool.release(i);
+            }
+        }
+    }
+    
+    /**
+     * @method autoSpawn
+     * @description Автоматически создает фейерверки
+     */
+    autoSpawn() {
+        // Пока пул почти заполнен, новые залпы только усугубят упрощение взрывов
+        if (this.particles.getUsage() >= this.settings.degradeAt) return;
+        
+        const simultaneous = Math.max(Math.round(this.settings.simultaneousFireworks * this.settings.qualityScale), 1);
+        
+        if (this.fireworks.length < simultaneous) {
+            const needed = Math.min(
+                simultaneous - this.fireworks.length,
+                this.settings.fireworksPerBurst
+            );
+            
+            if (needed > 0) {
+                this.spawnBurst(needed);
+            }
+        }
+    }
+    
+    /**
+     * @method spawnFirework
+     * @description Создает одиночный фейерверк
+     * @param {number} x - X координата цели
+     * @param {number} y - Y координата цели
+     * @param {Object} color - Цвет фейерверка
+     * @param {string} shape - Форма взрыва из FireworkShapes (по умолчанию случайная)
+     */
+    spawnFirework(x, y, color = null, shape = null) {
+        const startX = this.randomRange(150, this.width - 150);
+        const startY = this.height + 30;
+        const targetX = x || this.randomRange(100, this.width - 100);
+        const targetY = y || this.randomRange(150, this.height * 0.5);
+        const fireworkColor = color || this.getRandomColor();
+        const fireworkShape = shape || FireworkShapes.pickRandom(this.settings.shapeWeights, this.random);
+        
+        this.launchFirework(
+            new FireworkParticle(startX, startY, targetX, targetY, this.ctx, fireworkColor, fireworkShape, this.random, this.physics)
+        );
+    }
+    
+    /**
+     * @method launchFirework
+     * @description Добавляет ракету в полет и сообщает о запуске
+     * @param {FireworkParticle} firework - Ракета
+     */
+    launchFirework(firework) {
+        this.fireworks.push(firework);
+        
+        this.emit(EventBus.EVENTS.FIREWORK_LAUNCH, {
+            x: firework.startX,
+            targetX: firework.targetX,
+            targetY: firework.targetY,
+            shape: firework.shape,
+            width: this.width,
+            height: this.height
+        });
+    }
+    
+    /**
+     * @method spawnText
+     * @description Запускает фейерверк, частицы которого складываются в текст
+     * @param {string} text - Текст, числа или эмодзи
+     * @param {Object} options - { x, y, fontSize, fontFamily, color, step, maxPoints, launch }
+     */
+    spawnText(text, options = {}) {
+        if (!this.ctx || !text) return;
+        
+        const {
+            x = this.width / 2,
+            y = this.height * 0.3,
+            fontSize = this.getTextFontSize(text),
+            fontFamily = 'sans-serif',
+            color = { hue: 50, saturation: 100 },
+            // Шаг сетки выборки в пикселях и ограничение числа частиц
+            step = 6,
+            maxPoints = 450,
+            launch = true
+        } = options;
+        
+        const points = this.sampleTextPoints(text, fontSize, fontFamily, step, maxPoints);
+        
+        if (!points.length) {
+            console.warn(`⚠️ Не удалось построить фейерверк из текста "${text}"`);
+            return;
+        }
+        
+        if (!launch) {
+            this.createTextParticles(x, y, color, points);
+            return;
+        }
+        
+        const firework = new FireworkParticle(x, this.height + 30, x, y, this.ctx, color, 'text', this.random, this.physics);
+        firework.textPoints = points;
+        this.launchFirework(firework);
+    }
+    
+    /**
+     * @method getTextFontSize
+     * @description Подбирает размер шрифта, чтобы текст поместился на экране
+     * @param {string} text - Текст
+     * @returns {number}
+     */
+    getTextFontSize(text) {
+        const length = Math.max([...text].length, 1);
+        
+        return Math.floor(Math.min(this.height * 0.25, this.width * 0.8 / (length * 0.6)));
+    }
+    
+    /**
+     * @method sampleTextPoints
+     * @description Выбирает точки глифов, отрисовав текст на скрытом холсте
+     * @param {string} text - Текст
+     * @param {number} fontSize - Размер шрифта
+     * @param {string} fontFamily - Семейство шрифта
+     * @param {number} step - Шаг сетки выборки
+     * @param {number} maxPoints - Максимальное количество точек
+     * @returns {Array<Object>} - Смещения { x, y } от центра текста
+     */
+    sampleTextPoints(text, fontSize, fontFamily, step, maxPoints) {
+        const key = [text, fontSize, fontFamily, step, maxPoints].join('|');
+        
+        if (this.textPointsCache.has(key)) {
+            return this.textPointsCache.get(key);
+        }
+        
+        const font = `bold ${fontSize}px ${fontFamily}`;
+        const canvas = this.createOffscreenCanvas(1, 1);
+        const ctx = canvas.getContext('2d');
+        
+        ctx.font = font;
+        const width = Math.ceil(ctx.measureText(text).width) + step * 2;
+        const height = Math.ceil(fontSize * 1.3);
+        
+        // Изменение размера сбрасывает состояние контекста, поэтому шрифт задается повторно
+        canvas.width = width;
+        canvas.height = height;
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, width / 2, height / 2);
+        
+        const { data } = ctx.getImageData(0, 0, width, height);
+        const points = [];
+        
+        for (let py = 0; py < height; py += step) {
+            for (let px = 0; px < width; px += step) {
+                if (data[(py * width + px) * 4 + 3] > 128) {
+                    points.push({ x: px - width / 2, y: py - height / 2 });
+                }
+            }
+        }
+        
+        // Равномерное прореживание, чтобы длинный текст не превысил бюджет частиц
+        const selected = this.selectEvenly(points, maxPoints);
+        
+        this.textPointsCache.set(key, selected);
+        return selected;
+    }
+    
+    /**
+     * @method selectEvenly
+     * @description Оставляет не больше count элементов, выбирая их равномерно по массиву
+     * @param {Array} items - Исходный массив
+     * @param {number} count - Максимальное количество элементов
+     * @returns {Array}
+     */
+    selectEvenly(items, count) {
+        if (items.length <= count) return items;
+        
+        const ratio = items.length / count;
+        return Array.from({ length: count }, (_, index) => items[Math.floor(index * ratio)]);
+    }
+    
+    /**
+     * @method createOffscreenCanvas
+     * @description Создает холст вне документа
+     * @param {number} width - Ширина
+     * @param {number} height - Высота
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    createOffscreenCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    /**
+     * @method spawnBurst
+     * @description Создает серию фейерверков
+     * @param {number} count - Количество фейерверков
+     * @param {string} shape - Форма взрыва для всей серии (по умолчанию случайная для каждого)
+     */
+    spawnBurst(count = 5, shape = null) {
+        for (let i = 0; i < count; i++) {
+            setTimeout(() => {
+                this.spawnFirework(null, null, null, shape);
+            }, i * 150);
+        }
+    }
+    
+    /**
+     * @method createParticles
+     * @description Создает частицы при взрыве фейерверка
+     * @param {number} x - X координата взрыва
+     * @param {number} y - Y координата взрыва
+     * @param {Object} color - Цвет частиц
+     * @param {string} shape - Форма взрыва
+     */
+    createParticles(x, y, color, shape = 'sphere') {
+        const particleCount = Math.max(Math.round(this.settings.particleCount * this.settings.qualityScale), 1);
+        const built = FireworkShapes.build(shape, particleCount, this.random);
+        
+        // Прореживание равномерное, поэтому при нехватке бюджета форма остается узнаваемой
+        const particles = this.selectEvenly(built, this.getParticleAllowance(built.length));
+        if (!particles.length) return;
+        
+        const shiftedColors = {};
+        
+        particles.forEach(({ hueShift, ...options }) => {
+            let particleColor = color;
+            
+            if (hueShift) {
+                particleColor = shiftedColors[hueShift] ??= { ...color, hue: (color.hue + hueShift) % 360 };
+            }
+            
+            this.spawnParticle(x, y, particleColor, options);
+        });
+        
+        this.emit(EventBus.EVENTS.FIREWORK_EXPLODE, {
+            x,
+            y,
+            size: particles.length,
+            shape,
+            color,
+            width: this.width,
+            height: this.height
+        });
+    }
+    
+    /**
+     * @method createTextParticles
+     * @description Создает частицы, которые после взрыва собираются в точки текста
+     * @param {number} x - X координата взрыва (центр текста)
+     * @param {number} y - Y координата взрыва (центр текста)
+     * @param {Object} color - Цвет частиц
+     * @param {Array<Object>} points - Смещения точек текста от центра
+     */
+    createTextParticles(x, y, color, points) {
+        const selected = this.selectEvenly(points, this.getParticleAllowance(points.length));
+        if (!selected.length) return;
+        
+        selected.forEach(point => {
+            this.spawnParticle(x, y, color, {
+                speed: this.random.range(2, 6),
+                friction: 0.9,
+                decay: this.random.range(0.0035, 0.0045),
+                trailLength: 3,
+                target: { x: x + point.x, y: y + point.y }
+            });
+        });
+        
+        this.emit(EventBus.EVENTS.FIREWORK_EXPLODE, {
+            x,
+            y,
+            size: selected.length,
+            shape: 'text',
+            color,
+            width: this.width,
+            height: this.height
+        });
+    }
+    
+    /**
+     * @method splitParticle
+     * @description Распадение звездочки кроссета на несколько частиц крестом
+     * @param {ExplosionParticle} particle - Распадающаяся частица
+     */
+    splitParticle(particle) {
+        const { count, speed } = particle.split;
+        
+        for (let i = 0; i < count; i++) {
+            const spawned = this.spawnParticle(particle.x, particle.y, particle.color, {
+                angle: particle.angle + Math.PI / 4 + (i / count) * Math.PI * 2,
+                speed,
+                decay: 0.02,
+                trailLength: 3
+            });
+            
+            if (!spawned) break;
+        }
+    }
+    
+    /**
+     * @method spawnParticle
+     * @description Берет частицу взрыва из пула
+     * @param {number} x - X координата
+     * @param {number} y - Y координата
+     * @param {Object} color - Цвет частицы
+     * @param {Object} options - Параметры частицы (angle, speed, friction, gravity, decay, ...)
+     * @returns {ExplosionParticle|null} - Частица или null, если бюджет исчерпан
+     */
+    spawnParticle(x, y, color, options) {
+        const particle = this.particles.acquire();
+        
+        if (!particle) {
+            this.setDegraded(true);
+            return null;
+        }
+        
+        return particle.reset(x, y, color, options);
+    }
+    
+    /**
+     * @method getParticleAllowance
+     * @description Возвращает, сколько частиц можно выделить на взрыв.
+     * После порога degradeAt взрывы беднеют пропорционально оставшемуся запасу,
+     * чтобы пул не заканчивался на середине залпа
+     * @param {number} requested - Желаемое количество частиц
+     * @returns {number}
+     */
+    getParticleAllowance(requested) {
+        const pool = this.particles;
+        const softLimit = pool.getCapacity() * this.settings.degradeAt;
+        let allowed = requested;
+        
+        if (pool.size + requested > softLimit) {
+            const reserve = Math.max(pool.getCapacity() - softLimit, 1);
+            allowed = Math.floor(requested * Math.min(pool.getFree() / reserve, 1));
+        }
+        
+        allowed = Math.min(allowed, pool.getFree());
+        
+        // Восстановление с запасом, чтобы сообщения не переключались на каждом взрыве
+        if (allowed < requested) {
+            this.setDegraded(true);
+        } else if (pool.getUsage() < this.settings.degradeAt / 2) {
+            this.setDegraded(false);
+        }
+        
+        return allowed;
+    }
+    
+    /**
+     * @method setDegraded
+     * @description Отмечает упрощение взрывов и сообщает об изменении в консоль
+     * @param {boolean} isDegraded - Не хватает ли бюджета частиц
+     */
+    setDegraded(isDegraded) {
+        if (this.isDegraded === isDegraded) return;
+        
+        this.isDegraded = isDegraded;
+        
+        if (isDegraded) {
+            console.warn(`⚠️ Бюджет частиц фейерверка (${this.particles.getCapacity()}) почти исчерпан, взрывы упрощены`);
+        } else {
+            console.log('🎆 Бюджет частиц фейерверка восстановлен');
+        }
+    }
+    
+    /**
+     * @method handleClick
+     * @description Запускает фейерверк в точку клика
+     * @param {number} x - X координата клика
+     * @param {number} y - Y координата клика
+     */
+    handleClick(x, y) {
+        if (!this.isRunning) return;
+        
+        this.spawnFirework(x, y);
+    }
+    
+    /**
+     * @method getRandomColor
+     * @description Возвращает случайный цвет из палитры
+     * @returns {Object}
+     */
+    getRandomColor() {
+        return this.random.pick(this.settings.colors);
+    }
+    
+    /**
+     * @method randomRange
+     * @description Генерирует случайное число в диапазоне
+     * @param {number} min - Минимальное значение
+     * @param {number} max - Максимальное значение
+     * @returns {number}
+     */
+    randomRange(min, max) {
+        return this.random.range(min, max);
+    }
+    
+    /**
+     * @method configure
+     * @description Обновляет настройки на лету (интенсивность, количество частиц)
+     * @param {Object} options - Новые значения настроек
+     */
+    configure(options = {}) {
+        this.settings = { ...this.settings, ...options };
+        
+        if (options.physics) {
+            this.physics.configure(options.physics);
+        }
+    }
+    
+    /**
+     * @method emit
+     * @description Передает событие получателю onEvent, если он задан
+     * @param {string} eventName - Имя события
+     * @param {Object} payload - Данные события
+     */
+    emit(eventName, payload) {
+        if (this.settings.onEvent) {
+            this.settings.onEvent(eventName, payload);
+        }
+    }
+    
+    /**
+     * @method massiveCelebration
+     * @description Запускает масштабное празднование
+     * @param {string|null} text - Надпись в небе (по умолчанию текущий год, null - без надписи)
+     */
+    massiveCelebration(text = String(new Date().getFullYear())) {
+        this.spawnBurst(15);
+        
+        // Дополнительные эффекты
+        setTimeout(() => this.spawnBurst(10), 1000);
+        setTimeout(() => this.spawnBurst(8), 2000);
+        
+        if (text) {
+            setTimeout(() => this.spawnText(text), 1500);
+        }
+    }
+    
+    /**
+     * @method destroy
+     * @description Очищает ресурсы
+     */
+    destroy() {
+        this.stop();
+        this.particles.clear();
+        this.textPointsCache.clear();
+    }
+}
+
+/**
+ * @class FireworkParticle
+ * @description Частица фейерверка (полет)
+ */
+class FireworkParticle {
+    constructor(x1, y1, x2, y2, ctx, color, shape, random, physics) {
+        this.x = x1;
+        this.y = y1;
+        this.startX = x1;
+        this.startY = y1;
+        this.targetX = x2;
+        this.targetY = y2;
+        this.ctx = ctx;
+        this.color = color;
+        this.shape = shape;
+        this.random = random;
+        this.physics = physics;
+        
+        this.initialize();
+    }
+    
+    initialize() {
+        this.coordinates = [];
+        this.coordinateCount = Math.max(Math.round(3 * this.physics.trailScale), 2);
+        
+        while (this.coordinateCount--) {
+            this.coordinates.push([this.x, this.y]);
+        }
+        
+        this.angle = Math.atan2(this.targetY - this.startY, this.targetX - this.startX);
+        this.speed = 2;
+        this.acceleration = 1.02;
+        this.brightness = this.random.int(70, 90);
+        this.distance = this.calculateDistance();
+        this.currentDistance = 0;
+        
+        // Снос ветром и фаза покачивания
+        this.driftX = 0;
+        this.driftY = 0;
+        this.wobblePhase = this.random.range(0, Math.PI * 2);
+    }
+    
+    calculateDistance() {
+        const dx = this.targetX - this.startX;
+        const dy = this.targetY - this.startY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    rescale(scaleX, scaleY) {
+        this.x *= scaleX;
+        this.y *= scaleY;
+        this.startX *= scaleX;
+        this.startY *= scaleY;
+        this.targetX *= scaleX;
+        this.targetY *= scaleY;
+        this.driftX *= scaleX;
+        this.driftY *= scaleY;
+        
+        this.coordinates.forEach(point => {
+            point[0] *= scaleX;
+            point[1] *= scaleY;
+        });
+        
+        // Ракета остается на прямой от старта к цели, но направление и длина пути меняются
+        const progress = this.distance ? this.currentDistance / this.distance : 1;
+        this.angle = Math.atan2(this.targetY - this.startY, this.targetX - this.startX);
+        this.distance = this.calculateDistance();
+        this.currentDistance = progress * this.distance;
+    }
+    
+    update() {
+        // Сохраняем координаты для трейла
+        this.coordinates.pop();
+        this.coordinates.unshift([this.x, this.y]);
+        
+        // Ускорение и путь вдоль прямой от старта к цели
+        this.speed *= this.acceleration;
+        this.currentDistance = Math.min(this.currentDistance + this.speed, this.distance);
+        
+        // Ветер сносит ракету, а покачивание поперек пути затухает к точке взрыва
+        const progress = this.distance ? this.currentDistance / this.distance : 1;
+        const wobble = this.physics.wobble * Math.sin(this.wobblePhase + this.currentDistance * 0.08) * (1 - progress);
+        this.driftX += this.physics.windX * this.physics.rocketWind;
+        this.driftY += this.physics.windY * this.physics.rocketWind;
+        
+        // Обновление позиции
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        this.x = this.startX + cos * this.currentDistance - sin * wobble + this.driftX;
+        this.y = this.startY + sin * this.currentDistance + cos * wobble + this.driftY;
+        
+        // Проверка достижения цели
+        return this.currentDistance >= this.distance;
+    }
+    
+    draw() {
+        if (this.coordinates.length < 2) return;
+        
+        const last = this.coordinates.length - 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(this.coordinates[last][0], this.coordinates[last][1]);
+        this.ctx.lineTo(this.x, this.y);
+        
+        const gradient = this.ctx.createLinearGradient(
+            this.coordinates[last][0], this.coordinates[last][1],
+            this.x, this.y
+        );
+        
+        gradient.addColorStop(0, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, 0.9)`);
+        gradient.addColorStop(1, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, 0.1)`);
+        
+        this.ctx.strokeStyle = gradient;
+        this.ctx.lineWidth = 2.5;
+        this.ctx.lineCap = 'round';
+        this.ctx.stroke();
+    }
+}
+
+/**
+ * @class ExplosionParticle
+ * @description Частица взрыва фейерверка. Создается один раз в пуле и переиспользуется через reset()
+ */
+class ExplosionParticle {
+    /**
+     * @static
+     * @description Максимальная длина хвоста в точках
+     * @type {number}
+     */
+    static MAX_TRAIL = 16;
+    
+    constructor(ctx, random, physics) {
+        this.ctx = ctx;
+        this.random = random;
+        this.physics = physics;
+        
+        // Хвост хранится в кольцевом буфере, чтобы не создавать массивы координат каждый кадр
+        this.trail = new Float32Array(ExplosionParticle.MAX_TRAIL * 2);
+        this.trailLength = 0;
+        this.trailHead = 0;
+    }
+    
+    reset(x, y, color, options) {
+        this.x = x;
+        this.y = y;
+        this.color = color;
+        
+        // Длина хвоста зависит от погоды: в безветрие искры тянутся дольше
+        const trailLength = Math.round((options.trailLength || 5) * this.physics.trailScale);
+        this.trailLength = Math.min(Math.max(trailLength, 2), ExplosionParticle.MAX_TRAIL);
+        this.trailHead = 0;
+        
+        for (let i = 0; i < this.trailLength; i++) {
+            this.trail[i * 2] = x;
+            this.trail[i * 2 + 1] = y;
+        }
+        
+        // Форма взрыва задает направление и скорость, без нее - случайный шар
+        this.angle = options.angle ?? this.random.range(0, Math.PI * 2);
+        this.speed = options.speed ?? this.random.range(1, 10);
+        this.friction = options.friction ?? 0.95;
+        this.gravity = options.gravity ?? 0.6;
+        this.brightness = this.random.int(70, 95);
+        this.alpha = this.random.range(0.9, 1);
+        this.decay = options.decay ?? this.random.range(0.01, 0.025);
+        this.flicker = Boolean(options.flicker);
+        this.split = options.split || null;
+        this.hasSplit = false;
+        
+        // Точка надписи, к которой притягивается частица, пока не начнет гаснуть
+        this.hasTarget = Boolean(options.target);
+        this.targetX = options.target ? options.target.x : 0;
+        this.targetY = options.target ? options.target.y : 0;
+        this.steer = options.steer ?? 0.06;
+        this.releaseAlpha = options.releaseAlpha ?? 0.35;
+        
+        return this;
+    }
+    
+    rescale(scaleX, scaleY) {
+        this.x *= scaleX;
+        this.y *= scaleY;
+        this.targetX *= scaleX;
+        this.targetY *= scaleY;
+        
+        for (let i = 0; i < this.trailLength; i++) {
+            this.trail[i * 2] *= scaleX;
+            this.trail[i * 2 + 1] *= scaleY;
+        }
+    }
+    
+    update() {
+        // Сохраняем координаты для трейла на место самой старой точки
+        this.trail[this.trailHead * 2] = this.x;
+        this.trail[this.trailHead * 2 + 1] = this.y;
+        this.trailHead = (this.trailHead + 1) % this.trailLength;
+        
+        // Замедление: собственное трение частицы и сопротивление воздуха
+        this.speed *= this.friction * this.physics.airResistance;
+        
+        // Движение
+        if (this.hasTarget) {
+            this.x += Math.cos(this.angle) * this.speed + (this.targetX - this.x) * this.steer;
+            this.y += Math.sin(this.angle) * this.speed + (this.targetY - this.y) * this.steer;
+            
+            if (this.alpha <= this.releaseAlpha) {
+                this.hasTarget = false;
+            }
+        } else {
+            this.x += Math.cos(this.angle) * this.speed + this.physics.windX;
+            this.y += Math.sin(this.angle) * this.speed + this.gravity * this.physics.gravity + this.physics.windY;
+        }
+        
+        // Затухание
+        this.alpha -= this.decay;
+        
+        // Кроссет распадается на середине жизни, сама частица при этом исчезает
+        if (this.split && this.alpha <= this.split.alpha) {
+            this.hasSplit = true;
+            return true;
+        }
+        
+        return this.alpha <= 0.01;
+    }
+    
+    draw() {
+        if (this.trailLength < 2 || this.alpha <= 0) return;
+        
+        // Блестки случайно гаснут на отдельных кадрах
+        const alpha = this.flicker && this.random.chance(0.4) ? this.alpha * 0.15 : this.alpha;
+        
+        // Самая старая точка хвоста - следующая за последней записанной
+        const tailX = this.trail[this.trailHead * 2];
+        const tailY = this.trail[this.trailHead * 2 + 1];
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(tailX, tailY);
+        this.ctx.lineTo(this.x, this.y);
+        
+        const gradient = this.ctx.createLinearGradient(tailX, tailY, this.x, this.y);
+        
+        gradient.addColorStop(0, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, ${alpha})`);
+        gradient.addColorStop(1, `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, ${alpha * 0.3})`);
+        
+        this.ctx.strokeStyle = gradient;
+        this.ctx.lineWidth = alpha * 2.5;
+        this.ctx.lineCap = 'round';
+        this.ctx.stroke();
+        
+        // Яркое ядро
+        this.ctx.beginPath();
+        this.ctx.arc(this.x, this.y, alpha * 2, 0, Math.PI * 2);
+        this.ctx.fillStyle = `hsla(${this.color.hue}, ${this.color.saturation}%, ${this.brightness}%, ${alpha * 0.6})`;
+        this.ctx.fill();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,36 @@
+import { Random } from '../core/Random.js';
+import { FireworksEngine } from './FireworksEngine.js';
+
+/**
+ * @file FireworksWorker.js
+ * @description Web Worker фейерверков: получает OffscreenCanvas командой init
+ * и выполняет остальные команды протокола FireworksEngine.
+ * Обратно отправляет { type: 'ready' }, { type: 'event', name, payload } и { type: 'error', message }
+ */
+
+let engine = null;
+
+self.onmessage = (event) => {
+    const { type, ...data } = event.data;
+    
+    try {
+        if (type === 'init') {
+            engine = new FireworksEngine(data.canvas, {
+                ...data.settings,
+                random: new Random(data.seed),
+                onEvent: (name, payload) => self.postMessage({ type: 'event', name, payload })
+            });
+            
+            engine.resize(data.width, data.height, data.pixelRatio);
+            self.postMessage({ type: 'ready' });
+            return;
+        }
+        
+        if (engine) {
+            engine.dispatch(type, data);
+        }
+    } catch (error) {
+        console.error('❌ Ошибка в воркере фейерверков:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * @file ParticlePool.js
+ * @class ParticlePool
+ * @description Пул заранее созданных частиц фиксированного размера.
+ * Активные частицы лежат в начале массива, удаление переставляет последнюю активную на место удаленной
+ */
+
+export class ParticlePool {
+    /**
+     * @constructor
+     * @param {number} capacity - Максимальное количество частиц
+     * @param {Function} create - Фабрика частицы, вызывается capacity раз при создании пула
+     */
+    constructor(capacity, create) {
+        this.items = Array.from({ length: capacity }, create);
+        this.size = 0;
+    }
+    
+    /**
+     * @method getCapacity
+     * @description Возвращает размер пула
+     * @returns {number}
+     */
+    getCapacity() {
+        return this.items.length;
+    }
+    
+    /**
+     * @method getFree
+     * @description Возвращает количество свободных частиц
+     * @returns {number}
+     */
+    getFree() {
+        return this.items.length - this.size;
+    }
+    
+    /**
+     * @method getUsage
+     * @description Возвращает долю занятых частиц от 0 до 1
+     * @returns {number}
+     */
+    getUsage() {
+        return this.items.length ? this.size / this.items.length : 1;
+    }
+    
+    /**
+     * @method acquire
+     * @description Занимает свободную частицу
+     * @returns {Object|null} - Частица или null, если пул исчерпан
+     */
+    acquire() {
+        if (this.size >= this.items.length) return null;
+        
+        return this.items[this.size++];
+    }
+    
+    /**
+     * @method release
+     * @description Освобождает частицу по индексу перестановкой с последней активной.
+     * При обходе с конца переставленная частица уже обработана в этом кадре
+     * @param {number} index - Индекс активной частицы
+     */
+    release(index) {
+        const last = --this.size;
+        
+        if (index !== last) {
+            const item = this.items[index];
+            this.items[index] = this.items[last];
+            this.items[last] = item;
+        }
+    }
+    
+    /**
+     * @method clear
+     * @description Освобождает все частицы
+     */
+    clear() {
+        this.size = 0;
+    }
+}
\ No newline at end of file
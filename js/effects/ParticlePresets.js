@@ -0,0 +1,424 @@
+/**
+ * @file ParticlePresets.js
+ * @class ParticlePresets
+ * @description Библиотека пресетов фоновых частиц и цветовых тем. Пресет - поправки
+ * к базовой конфигурации tsParticles из Particles.getBaseConfig (массивы заменяются целиком)
+ */
+
+export class ParticlePresets {
+    /**
+     * @static
+     * @description Пресеты частиц: частичные настройки tsParticles
+     * @type {Object<string, Object>}
+     */
+    static PRESETS = {
+        // Базовая конфигурация: разноцветные снежинки и блестки, падающие вниз
+        snow: {},
+        
+        // Теплые огоньки для последних минут перед полуночью
+        festive: {
+            particles: {
+                color: {
+                    value: ['#ffdf80', '#FFD700', '#ffffff', '#ff4d4d']
+                },
+                move: {
+                    speed: {
+                        min: 1.5,
+                        max: 4
+                    }
+                },
+                number: {
+                    value: 120
+                }
+            }
+        },
+        
+        // Звездное небо: почти неподвижные мерцающие звезды
+        stars: {
+            particles: {
+                color: {
+                    value: ['#ffffff', '#fff4c2', '#cfe8ff']
+                },
+                move: {
+                    direction: 'none',
+                    speed: {
+                        min: 0.05,
+                        max: 0.3
+                    }
+                },
+                number: {
+                    value: 120
+                },
+                opacity: {
+                    value: {
+                        min: 0.1,
+                        max: 1
+                    },
+                    animation: {
+                        speed: 0.6
+                    }
+                },
+                shape: {
+                    type: ['star', 'circle']
+                },
+                size: {
+                    value: {
+                        min: 0.5,
+                        max: 2.5
+                    },
+                    animation: {
+                        enable: false
+                    }
+                },
+                wobble: {
+                    enable: false
+                },
+                shadow: {
+                    enable: false
+                },
+                twinkle: {
+                    particles: {
+                        color: '#ffffff',
+                        frequency: 0.1
+                    }
+                }
+            }
+        },
+        
+        // Гирлянда: цветные лампочки на проводе, мигающие вразнобой
+        garland: {
+            particles: {
+                color: {
+                    value: ['#ff3b3b', '#ffd23f', '#3bff6f', '#3ba4ff', '#ff7bf2']
+                },
+                links: {
+                    enable: true,
+                    distance: 140,
+                    color: '#2e7d32',
+                    opacity: 0.35,
+                    width: 1
+                },
+                move: {
+                    direction: 'none',
+                    random: false,
+                    speed: {
+                        min: 0.2,
+                        max: 0.6
+                    }
+                },
+                number: {
+                    value: 60
+                },
+                opacity: {
+                    value: {
+                        min: 0.2,
+                        max: 1
+                    },
+                    animation: {
+                        speed: 2
+                    }
+                },
+                shape: {
+                    type: ['circle']
+                },
+                size: {
+                    value: {
+                        min: 3,
+                        max: 6
+                    },
+                    animation: {
+                        enable: false
+                    }
+                },
+                wobble: {
+                    enable: false
+                },
+                shadow: {
+                    enable: true,
+                    color: '#ffdf80',
+                    blur: 12,
+                    offset: {
+                        x: 0,
+                        y: 0
+                    }
+                },
+                twinkle: {
+                    particles: {
+                        enable: false
+                    }
+                }
+            }
+        },
+        
+        // Конфетти: яркие кружащиеся бумажки
+        confetti: {
+            particles: {
+                color: {
+                    value: ['#ff595e', '#ffca3a', '#8ac926', '#1982c4', '#6a4c93', '#ffffff']
+                },
+                move: {
+                    random: false,
+                    speed: {
+                        min: 2,
+                        max: 5
+                    }
+                },
+                number: {
+                    value: 100
+                },
+                opacity: {
+                    value: 1,
+                    animation: {
+                        enable: false
+                    }
+                },
+                rotate: {
+                    value: {
+                        min: 0,
+                        max: 360
+                    },
+                    direction: 'random',
+                    animation: {
+                        enable: true,
+                        speed: 30
+                    }
+                },
+                roll: {
+                    enable: true,
+                    darken: {
+                        enable: true,
+                        value: 25
+                    },
+                    speed: {
+                        min: 5,
+                        max: 15
+                    }
+                },
+                shape: {
+                    type: ['square', 'circle']
+                },
+                size: {
+                    value: {
+                        min: 3,
+                        max: 7
+                    },
+                    animation: {
+                        enable: false
+                    }
+                },
+                wobble: {
+                    distance: 20,
+                    speed: {
+                        min: -15,
+                        max: 15
+                    }
+                },
+                shadow: {
+                    enable: false
+                },
+                twinkle: {
+                    particles: {
+                        enable: false
+                    }
+                }
+            }
+        },
+        
+        // Искры: золотые вспышки, поднимающиеся вверх
+        sparkles: {
+            particles: {
+                color: {
+                    value: ['#FFD700', '#ffdf80', '#ffffff']
+                },
+                move: {
+                    direction: 'top',
+                    speed: {
+                        min: 0.5,
+                        max: 1.5
+                    }
+                },
+                number: {
+                    value: 100
+                },
+                shape: {
+                    type: ['star', 'circle']
+                },
+                size: {
+                    value: {
+                        min: 0.5,
+                        max: 2.5
+                    },
+                    animation: {
+                        speed: 6
+                    }
+                },
+                shadow: {
+                    color: '#FFD700',
+                    blur: 8,
+                    offset: {
+                        x: 0,
+                        y: 0
+                    }
+                },
+                twinkle: {
+                    particles: {
+                        color: '#ffffff',
+                        frequency: 0.2
+                    }
+                }
+            }
+        },
+        
+        // Северное сияние: крупные размытые пятна, медленно плывущие по небу
+        northern_lights: {
+            interactivity: {
+                events: {
+                    onClick: {
+                        enable: false
+                    }
+                }
+            },
+            particles: {
+                color: {
+                    value: ['#00ff9d', '#00c3ff', '#7b5cff', '#3dffb8']
+                },
+                move: {
+                    direction: 'right',
+                    random: false,
+                    speed: {
+                        min: 0.2,
+                        max: 0.6
+                    }
+                },
+                number: {
+                    density: {
+                        enable: false
+                    },
+                    value: 14
+                },
+                opacity: {
+                    value: {
+                        min: 0.05,
+                        max: 0.2
+                    },
+                    animation: {
+                        speed: 0.3
+                    }
+                },
+                shape: {
+                    type: ['circle']
+                },
+                size: {
+                    value: {
+                        min: 60,
+                        max: 160
+                    },
+                    animation: {
+                        enable: false
+                    }
+                },
+                wobble: {
+                    distance: 40,
+                    speed: 2
+                },
+                shadow: {
+                    enable: true,
+                    color: '#00ff9d',
+                    blur: 60,
+                    offset: {
+                        x: 0,
+                        y: 0
+                    }
+                },
+                twinkle: {
+                    particles: {
+                        enable: false
+                    }
+                }
+            }
+        }
+    };
+    
+    /**
+     * @static
+     * @description Цветовые темы: накладываются поверх любого пресета
+     * @type {Object<string, Object>}
+     */
+    static THEMES = {
+        light: {
+            particles: {
+                color: {
+                    value: ['#000000', '#333333']
+                }
+            }
+        },
+        dark: {
+            particles: {
+                color: {
+                    value: ['#ffffff', '#ffdf80']
+                }
+            }
+        }
+    };
+    
+    /**
+     * @static
+     * @method has
+     * @description Проверяет, существует ли пресет
+     * @param {string} name - Имя пресета
+     * @returns {boolean}
+     */
+    static has(name) {
+        return Object.prototype.hasOwnProperty.call(ParticlePresets.PRESETS, name);
+    }
+    
+    /**
+     * @static
+     * @method getNames
+     * @description Возвращает имена всех пресетов
+     * @returns {string[]}
+     */
+    static getNames() {
+        return Object.keys(ParticlePresets.PRESETS);
+    }
+    
+    /**
+     * @static
+     * @method get
+     * @description Возвращает поправки пресета
+     * @param {string} name - Имя пресета
+     * @returns {Object|null}
+     */
+    static get(name) {
+        return ParticlePresets.has(name) ? ParticlePresets.PRESETS[name] : null;
+    }
+    
+    /**
+     * @static
+     * @method register
+     * @description Добавляет пользовательский пресет частиц
+     * @param {string} name - Имя пресета
+     * @param {Object} preset - Поправки к базовой конфигурации tsParticles
+     */
+    static register(name, preset) {
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            console.error(`❌ Пресет частиц "${name}" должен быть объектом с настройками tsParticles`);
+            return;
+        }
+        
+        ParticlePresets.PRESETS[name] = preset;
+    }
+    
+    /**
+     * @static
+     * @method getTheme
+     * @description Возвращает поправки цветовой темы
+     * @param {string} name - Имя темы
+     * @returns {Object|null}
+     */
+    static getTheme(name) {
+        return Object.prototype.hasOwnProperty.call(ParticlePresets.THEMES, name)
+            ? ParticlePresets.THEMES[name]
+            : null;
+    }
+}
\ No newline at end of file
@@ -1,7 +1,11 @@
+import { Random } from '../core/Random.js';
+import { ParticlePresets } from './ParticlePresets.js';
+
 /**
  * @file Particles.js
  * @class Particles
- * @description Управление частицами с использованием tsParticles
+ * @description Управление частицами с использованием tsParticles. Пресеты берутся
+ * из ParticlePresets и переключаются на лету с плавной сменой слоев
  */
 
 export class Particles {
@@ -14,8 +18,14 @@ export class Particles {
             containerId: 'tsparticles',
             autoPlay: true,
             responsive: true,
+            // Имя пресета из ParticlePresets и цветовая тема поверх него (light, dark или null)
             preset: 'snow',
+            theme: null,
             customConfig: null,
+            // Поправки к итоговой конфигурации, накопленные через updateOptions
+            options: null,
+            // Длительность плавной смены пресета, темы или настроек, мс
+            crossfade: 1200,
             interactivity: {
                 events: {
                     onHover: {
@@ -29,14 +39,22 @@ export class Particles {
                 }
             },
             performance: {
-                maxParticles: 100,
+                // Предел частиц на экране; QualityGovernor снижает его на слабых устройствах
+                maxParticles: 150,
                 limitFPS: 60
-            }
+            },
+            // Используется только запасными частицами: tsParticles не принимает свой генератор
+            random: null
         };
         
         this.settings = { ...this.defaults, ...options };
+        this.random = this.settings.random || new Random();
         this.container = null;
         this.particlesInstance = null;
+        this.layer = null;
+        this.layerCount = 0;
+        this.retiring = new Set();
+        this.queue = Promise.resolve();
         this.isLoaded = false;
         
         this.initialize();
@@ -61,9 +79,15 @@ export class Particles {
             return;
         }
         
-        try {
-            await this.loadParticles();
+        // Первая загрузка идет через ту же очередь, что и перезагрузки: пресет,
+        // выбранный до ее окончания, применится сразу после нее
+        const loading = this.loadParticles().then(() => {
             this.isLoaded = true;
+        });
+        this.queue = loading.catch(() => {});
+        
+        try {
+            await loading;
             console.log('✨ Система частиц инициализирована');
         } catch (error) {
             console.error('❌ Ошибка загрузки частиц:', error);
@@ -73,19 +97,55 @@ export class Particles {
     
     /**
      * @method loadParticles
-     * @description Загружает частицы с выбранной конфигурацией
+     * @description Загружает частицы с выбранной конфигурацией в новый слой контейнера
+     * @param {number} duration - Длительность появления слоя, мс
      * @returns {Promise}
      */
-    async loadParticles() {
+    async loadParticles(duration = 0) {
         const config = this.getParticlesConfig();
+        const layer = this.createLayer(duration);
+        
+        try {
+            this.particlesInstance = await tsParticles.load({
+                id: layer.id,
+                element: layer,
+                options: config
+            });
+        } catch (error) {
+            layer.remove();
+            throw error;
+        }
         
-        this.particlesInstance = await tsParticles.load(
-            this.settings.containerId,
-            config
-        );
+        this.layer = layer;
         
         // Сохраняем ссылку на инстанс
         this.container.particlesInstance = this.particlesInstance;
+        
+        // Слой появляется со следующего кадра, иначе переход по opacity не запустится
+        if (duration > 0) {
+            requestAnimationFrame(() => layer.classList.add('is-visible'));
+        } else {
+            layer.classList.add('is-visible');
+        }
+    }
+    
+    /**
+     * @method createLayer
+     * @description Создает слой для инстанса tsParticles. Во время смены пресета
+     * в контейнере два слоя: старый гаснет, новый проявляется
+     * @param {number} duration - Длительность перехода, мс
+     * @returns {HTMLDivElement}
+     */
+    createLayer(duration) {
+        const layer = document.createElement('div');
+        
+        this.layerCount++;
+        layer.id = `${this.settings.containerId}-layer-${this.layerCount}`;
+        layer.className = 'particles-layer';
+        layer.style.transitionDuration = `${duration}ms`;
+        
+        this.container.appendChild(layer);
+        return layer;
     }
     
     /**
@@ -94,12 +154,54 @@ export class Particles {
      * @returns {Object}
      */
     getParticlesConfig() {
-        // Если передан кастомный конфиг, используем его
-        if (this.settings.customConfig) {
-            return this.settings.customConfig;
+        const { customConfig, preset, theme, options } = this.settings;
+        
+        // Если передан кастомный конфиг, используем его вместо пресетов
+        if (customConfig) {
+            return options ? this.mergeDeep(customConfig, options) : customConfig;
+        }
+        
+        // Конфиг для новогодней темы с поправками пресета, темы и updateOptions
+        let config = this.mergeDeep(this.getBaseConfig(), this.getPresetOverrides(preset));
+        const themeOverrides = theme ? ParticlePresets.getTheme(theme) : null;
+        const { maxParticles } = this.settings.performance;
+        
+        if (themeOverrides) {
+            config = this.mergeDeep(config, themeOverrides);
+        }
+        
+        if (options) {
+            config = this.mergeDeep(config, options);
+        }
+        
+        // Предел действует и на частицы, добавленные кликами
+        config.particles.number.value = Math.min(config.particles.number.value, maxParticles);
+        config.particles.number.limit = { mode: 'delete', value: maxParticles };
+        
+        return config;
+    }
+    
+    /**
+     * @method getPresetOverrides
+     * @description Возвращает отличия пресета от базовой снежной конфигурации
+     * @param {string} preset - Название пресета
+     * @returns {Object}
+     */
+    getPresetOverrides(preset) {
+        if (!ParticlePresets.has(preset)) {
+            console.warn(`⚠️ Неизвестный пресет частиц "${preset}", используется snow`);
+            return ParticlePresets.get('snow');
         }
         
-        // Конфиг для новогодней темы
+        return ParticlePresets.get(preset);
+    }
+    
+    /**
+     * @method getBaseConfig
+     * @description Возвращает базовую конфигурацию частиц
+     * @returns {Object}
+     */
+    getBaseConfig() {
         return {
             background: {
                 color: {
@@ -212,44 +314,145 @@ export class Particles {
                     }
                 }
             },
-            detectRetina: true,
-            themes: [
-                {
-                    name: "light",
-                    default: {
-                        value: true,
-                        mode: "light"
-                    },
-                    options: {
-                        background: {
-                            color: "transparent"
-                        },
-                        particles: {
-                            color: {
-                                value: ["#000000", "#333333"]
-                            }
-                        }
-                    }
-                },
-                {
-                    name: "dark",
-                    default: {
-                        value: true,
-                        mode: "dark"
-                    },
-                    options: {
-                        background: {
-                            color: "transparent"
-                        },
-                        particles: {
-                            color: {
-                                value: ["#ffffff", "#ffdf80"]
-                            }
-                        }
-                    }
+            detectRetina: true
+        };
+    }
+    
+    /**
+     * @method mergeDeep
+     * @description Рекурсивно объединяет конфигурации (массивы заменяются целиком)
+     * @param {Object} target - Базовый объект
+     * @param {Object} source - Поправки
+     * @returns {Object}
+     */
+    mergeDeep(target, source) {
+        const result = { ...target };
+        
+        for (const [key, value] of Object.entries(source)) {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            result[key] = isObject && target[key] && typeof target[key] === 'object'
+                ? this.mergeDeep(target[key], value)
+                : value;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * @method setPreset
+     * @description Плавно переключает пресет: новые частицы проявляются поверх гаснущих старых
+     * @param {string} preset - Название пресета из ParticlePresets
+     * @param {number} duration - Длительность смены, мс
+     */
+    async setPreset(preset, duration = this.settings.crossfade) {
+        if (!preset || this.settings.preset === preset) return;
+        
+        if (!ParticlePresets.has(preset)) {
+            console.warn(`⚠️ Неизвестный пресет частиц "${preset}"`);
+            return;
+        }
+        
+        this.settings.preset = preset;
+        
+        await this.reload(duration);
+    }
+    
+    /**
+     * @method getPreset
+     * @description Возвращает имя текущего пресета
+     * @returns {string}
+     */
+    getPreset() {
+        return this.settings.preset;
+    }
+    
+    /**
+     * @method setMaxParticles
+     * @description Меняет предел количества частиц и перезагружает их
+     * @param {number} maxParticles - Новый предел
+     */
+    async setMaxParticles(maxParticles) {
+        if (this.settings.performance.maxParticles === maxParticles) return;
+        
+        this.settings.performance = { ...this.settings.performance, maxParticles };
+        
+        await this.reload();
+    }
+    
+    /**
+     * @method reload
+     * @description Пересоздает инстанс tsParticles с текущей конфигурацией. Перезагрузки
+     * выполняются по очереди, чтобы быстрые переключения не оставляли лишних инстансов
+     * @param {number} duration - Длительность смены слоев, мс; 0 - мгновенно
+     * @returns {Promise}
+     */
+    reload(duration = 0) {
+        this.queue = this.queue
+            .then(() => this.swap(duration))
+            .catch(error => console.error('❌ Ошибка перезагрузки частиц:', error));
+        
+        return this.queue;
+    }
+    
+    /**
+     * @method swap
+     * @description Загружает новый слой и убирает старый. При ошибке старые частицы остаются
+     * @param {number} duration - Длительность смены слоев, мс
+     */
+    async swap(duration) {
+        // Частицы не загрузились или работает запасной вариант - менять нечего
+        if (!this.container || !this.isLoaded) return;
+        
+        const previous = { instance: this.particlesInstance, layer: this.layer };
+        
+        // Незавершенная смена завершается сразу: одновременно видно не больше двух слоев
+        this.finishRetiring();
+        
+        await this.loadParticles(duration);
+        this.retire(previous.instance, previous.layer, duration);
+    }
+    
+    /**
+     * @method retire
+     * @description Гасит слой и уничтожает его инстанс после перехода
+     * @param {Object|null} instance - Инстанс tsParticles
+     * @param {HTMLElement|null} layer - Слой
+     * @param {number} duration - Длительность угасания, мс
+     */
+    retire(instance, layer, duration) {
+        const entry = {
+            timer: null,
+            remove: () => {
+                clearTimeout(entry.timer);
+                this.retiring.delete(entry);
+                
+                if (instance && instance.destroy) {
+                    instance.destroy();
                 }
-            ]
+                
+                if (layer) {
+                    layer.remove();
+                }
+            }
         };
+        
+        if (duration <= 0 || !layer) {
+            entry.remove();
+            return;
+        }
+        
+        layer.style.transitionDuration = `${duration}ms`;
+        layer.classList.remove('is-visible');
+        entry.timer = setTimeout(entry.remove, duration);
+        this.retiring.add(entry);
+    }
+    
+    /**
+     * @method finishRetiring
+     * @description Сразу убирает все гаснущие слои
+     */
+    finishRetiring() {
+        this.retiring.forEach(entry => entry.remove());
     }
     
     /**
@@ -284,7 +487,8 @@ export class Particles {
     createSimpleParticles(canvas) {
         const ctx = canvas.getContext('2d');
         const particles = [];
-        const particleCount = 50;
+        const particleCount = Math.min(50, this.settings.performance.maxParticles);
+        const random = this.random;
         
         // Настройка размера canvas
         const resizeCanvas = () => {
@@ -298,12 +502,12 @@ export class Particles {
         // Создание частиц
         class SimpleParticle {
             constructor() {
-                this.x = Math.random() * canvas.width;
-                this.y = Math.random() * canvas.height;
-                this.size = Math.random() * 3 + 1;
-                this.speedX = Math.random() * 1 - 0.5;
-                this.speedY = Math.random() * 1 + 0.5;
-                this.color = `rgba(255, 255, 255, ${Math.random() * 0.5 + 0.3})`;
+                this.x = random.range(0, canvas.width);
+                this.y = random.range(0, canvas.height);
+                this.size = random.range(1, 4);
+                this.speedX = random.range(-0.5, 0.5);
+                this.speedY = random.range(0.5, 1.5);
+                this.color = `rgba(255, 255, 255, ${random.range(0.3, 0.8)})`;
             }
             
             update() {
@@ -312,7 +516,7 @@ export class Particles {
                 
                 if (this.y > canvas.height) {
                     this.y = 0;
-                    this.x = Math.random() * canvas.width;
+                    this.x = random.range(0, canvas.width);
                 }
                 
                 if (this.x > canvas.width) this.x = 0;
@@ -379,27 +583,33 @@ export class Particles {
     
     /**
      * @method changeTheme
-     * @description Изменяет тему частиц
-     * @param {string} themeName - Название темы
+     * @description Плавно меняет цветовую тему поверх текущего пресета
+     * @param {string|null} themeName - Название темы из ParticlePresets.THEMES или null для цветов пресета
+     * @param {number} duration - Длительность смены, мс
      */
-    async changeTheme(themeName) {
-        if (this.particlesInstance && this.particlesInstance.setTheme) {
-            await this.particlesInstance.setTheme(themeName);
+    async changeTheme(themeName, duration = this.settings.crossfade) {
+        if (this.settings.theme === themeName) return;
+        
+        if (themeName && !ParticlePresets.getTheme(themeName)) {
+            console.warn(`⚠️ Неизвестная тема частиц "${themeName}"`);
+            return;
         }
+        
+        this.settings.theme = themeName;
+        
+        await this.reload(duration);
     }
     
     /**
      * @method updateOptions
-     * @description Обновляет настройки частиц
-     * @param {Object} options - Новые настройки
+     * @description Объединяет настройки tsParticles с уже переданными и перезагружает частицы
+     * @param {Object} options - Поправки к конфигурации tsParticles
+     * @param {number} duration - Длительность смены, мс
      */
-    async updateOptions(options) {
-        if (this.particlesInstance) {
-            // tsParticles API может отличаться, проверяем доступные методы
-            if (typeof this.particlesInstance.options === 'function') {
-                this.particlesInstance.options(options);
-            }
-        }
+    async updateOptions(options, duration = this.settings.crossfade) {
+        this.settings.options = this.mergeDeep(this.settings.options || {}, options);
+        
+        await this.reload(duration);
     }
     
     /**
@@ -407,10 +617,16 @@ export class Particles {
      * @description Уничтожает систему частиц
      */
     destroy() {
+        this.finishRetiring();
+        
         if (this.particlesInstance && this.particlesInstance.destroy) {
             this.particlesInstance.destroy();
         }
         
+        if (this.layer) {
+            this.layer.remove();
+        }
+        
         // Удаляем fallback canvas если есть
         const fallbackCanvas = document.getElementById('fallback-particles');
         if (fallbackCanvas) {
@@ -418,6 +634,7 @@ export class Particles {
         }
         
         this.particlesInstance = null;
+        this.layer = null;
         this.container = null;
     }
 }
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * @file SnowCover.js
+ * @class SnowCover
+ * @description Слой снега, который накапливается на горизонтальной поверхности:
+ * низ экрана или верхняя грань элемента. Хранится как карта высот по колонкам
+ */
+
+export class SnowCover {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки слоя
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            // Ширина колонки карты высот, px
+            columnWidth: 4,
+            // Предельная высота сугроба, px
+            maxHeight: 30,
+            // Высота, которую добавляет снежинка радиусом 1px
+            flakeHeight: 1.2,
+            // Наибольший перепад между соседними колонками, дальше снег осыпается
+            slope: 1.5,
+            // Доля ширины у краев, где сугроб скругляется и не свисает с поверхности
+            taper: 0
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.x = 0;
+        this.y = 0;
+        this.width = 0;
+        this.heights = new Float32Array(0);
+        this.limits = new Float32Array(0);
+        this.total = 0;
+    }
+    
+    /**
+     * @method setBounds
+     * @description Задает положение поверхности. При смене ширины накопленный снег
+     * растягивается на новые колонки
+     * @param {number} x - Левый край, px
+     * @param {number} y - Верхняя грань, px
+     * @param {number} width - Ширина, px
+     */
+    setBounds(x, y, width) {
+        const columns = Math.max(Math.ceil(width / this.settings.columnWidth), 1);
+        
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        
+        if (columns === this.heights.length) return;
+        
+        const previous = this.heights;
+        this.heights = new Float32Array(columns);
+        this.limits = new Float32Array(columns);
+        
+        for (let i = 0; i < columns; i++) {
+            this.limits[i] = this.getLimit(i, columns);
+            
+            if (previous.length) {
+                const source = Math.min(Math.floor(i / columns * previous.length), previous.length - 1);
+                this.heights[i] = Math.min(previous[source], this.limits[i]);
+            }
+        }
+        
+        this.total = this.heights.reduce((sum, height) => sum + height, 0);
+    }
+    
+    /**
+     * @method getLimit
+     * @description Вычисляет предельную высоту колонки с учетом скругления у краев
+     * @param {number} index - Индекс колонки
+     * @param {number} columns - Количество колонок
+     * @returns {number}
+     */
+    getLimit(index, columns) {
+        const { maxHeight, taper } = this.settings;
+        
+        if (!taper) return maxHeight;
+        
+        const edge = Math.min(index, columns - 1 - index) + 0.5;
+        const t = Math.min(edge / Math.max(columns * taper, 1), 1);
+        
+        return maxHeight * Math.sqrt(t * (2 - t));
+    }
+    
+    /**
+     * @method contains
+     * @description Проверяет, находится ли точка над поверхностью
+     * @param {number} x - Координата X, px
+     * @returns {boolean}
+     */
+    contains(x) {
+        return x >= this.x && x < this.x + this.width;
+    }
+    
+    /**
+     * @method getColumn
+     * @description Возвращает индекс колонки под точкой
+     * @param {number} x - Координата X, px
+     * @returns {number}
+     */
+    getColumn(x) {
+        const index = Math.floor((x - this.x) / this.settings.columnWidth);
+        return Math.min(Math.max(index, 0), this.heights.length - 1);
+    }
+    
+    /**
+     * @method getSurfaceY
+     * @description Возвращает высоту верха сугроба над точкой
+     * @param {number} x - Координата X, px
+     * @returns {number}
+     */
+    getSurfaceY(x) {
+        return this.y - this.heights[this.getColumn(x)];
+    }
+    
+    /**
+     * @method isFull
+     * @description Проверяет, достиг ли сугроб предела над точкой
+     * @param {number} x - Координата X, px
+     * @returns {boolean}
+     */
+    isFull(x) {
+        const column = this.getColumn(x);
+        return this.heights[column] >= this.limits[column];
+    }
+    
+    /**
+     * @method deposit
+     * @description Добавляет снежинку в сугроб и дает снегу осыпаться к соседям
+     * @param {number} x - Координата X, px
+     * @param {number} radius - Радиус снежинки, px
+     */
+    deposit(x, radius) {
+        const column = this.getColumn(x);
+        const amount = radius * this.settings.flakeHeight;
+        
+        // Снежинка ложится на колонку и частично на соседние
+        this.add(column, amount * 0.5);
+        this.add(column - 1, amount * 0.25);
+        this.add(column + 1, amount * 0.25);
+        
+        this.settle(column);
+    }
+    
+    /**
+     * @method add
+     * @description Увеличивает высоту колонки, не превышая предел
+     * @param {number} index - Индекс колонки
+     * @param {number} amount - Прирост, px
+     */
+    add(index, amount) {
+        if (index < 0 || index >= this.heights.length) return;
+        
+        const height = Math.min(this.heights[index] + amount, this.limits[index]);
+        this.total += height - this.heights[index];
+        this.heights[index] = height;
+    }
+    
+    /**
+     * @method settle
+     * @description Сглаживает слишком крутые склоны вокруг колонки
+     * @param {number} center - Индекс колонки, куда упал снег
+     */
+    settle(center) {
+        const { slope } = this.settings;
+        const { heights } = this;
+        const radius = 8;
+        const from = Math.max(center - radius, 0);
+        const to = Math.min(center + radius, heights.length - 1);
+        
+        for (let i = from; i < to; i++) {
+            const difference = heights[i] - heights[i + 1];
+            
+            if (Math.abs(difference) > slope) {
+                // Излишек делится поровну, поэтому общее количество снега не меняется
+                const shift = (Math.abs(difference) - slope) / 2 * Math.sign(difference);
+                const lower = difference > 0 ? i + 1 : i;
+                const room = this.limits[lower] - heights[lower];
+                const moved = Math.sign(shift) * Math.min(Math.abs(shift), room);
+                
+                heights[i] -= moved;
+                heights[i + 1] += moved;
+            }
+        }
+    }
+    
+    /**
+     * @method draw
+     * @description Рисует сугроб
+     * @param {CanvasRenderingContext2D} ctx - Контекст canvas
+     */
+    draw(ctx) {
+        if (this.total < 0.5) return;
+        
+        const { columnWidth } = this.settings;
+        const { heights } = this;
+        const right = this.x + this.width;
+        
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x, this.y - heights[0]);
+        
+        for (let i = 0; i < heights.length; i++) {
+            ctx.lineTo(Math.min(this.x + (i + 0.5) * columnWidth, right), this.y - heights[i]);
+        }
+        
+        ctx.lineTo(right, this.y - heights[heights.length - 1]);
+        ctx.lineTo(right, this.y);
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    /**
+     * @method clear
+     * @description Убирает накопленный снег
+     */
+    clear() {
+        this.heights.fill(0);
+        this.total = 0;
+    }
+}
\ No newline at end of file
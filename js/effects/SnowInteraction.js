@@ -0,0 +1,317 @@
+/**
+ * @file SnowInteraction.js
+ * @class SnowInteraction
+ * @description Ввод пользователя для снегопада: ветер от движения указателя,
+ * отталкивание снежинок вокруг курсора или пальца, порывы от клика и свайпа
+ * и направление падения по наклону телефона (DeviceOrientation)
+ */
+
+export class SnowInteraction {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки взаимодействия
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            // Сколько ветра дает движение указателя на 1px и предел такого ветра
+            pointerWind: 0.02,
+            maxWind: 3,
+            // Отталкивание и порывы; false оставляет только ветер от указателя
+            interactive: true,
+            // Радиус, в котором указатель расталкивает снежинки, px, и сила толчка за кадр
+            repelRadius: 100,
+            repelStrength: 0.6,
+            // Клик разбрасывает снежинки в радиусе gustRadius, свайп дает порыв ветра до maxGust
+            gustRadius: 220,
+            gustStrength: 8,
+            maxGust: 6,
+            // Свайп - движение не короче swipeDistance px быстрее swipeTime мс
+            swipeDistance: 40,
+            swipeTime: 400,
+            // Наклон телефона меняет направление падения, но не больше maxTilt градусов
+            tilt: true,
+            maxTilt: 60
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.pointerX = null;
+        this.pointerY = null;
+        this.pointerStart = null;
+        this.wind = 0;
+        this.gust = 0;
+        this.bursts = [];
+        this.tiltTarget = 0;
+        this.tiltX = 0;
+        this.tiltY = 1;
+        this.tiltState = 'unsupported';
+        
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerOut = this.handlePointerOut.bind(this);
+        this.handleOrientation = this.handleOrientation.bind(this);
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Подписывается на указатель и определяет, доступен ли наклон
+     */
+    initialize() {
+        window.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+        window.addEventListener('pointerdown', this.handlePointerDown, { passive: true });
+        window.addEventListener('pointerup', this.handlePointerUp, { passive: true });
+        window.addEventListener('pointercancel', this.handlePointerUp, { passive: true });
+        document.addEventListener('pointerout', this.handlePointerOut, { passive: true });
+        
+        if (!this.settings.tilt || typeof DeviceOrientationEvent === 'undefined') return;
+        
+        // iOS дает доступ к датчикам только после запроса из жеста пользователя
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            this.tiltState = 'prompt';
+        } else {
+            this.listenOrientation();
+        }
+    }
+    
+    /**
+     * @method listenOrientation
+     * @description Начинает следить за наклоном устройства
+     */
+    listenOrientation() {
+        this.tiltState = 'granted';
+        window.addEventListener('deviceorientation', this.handleOrientation);
+    }
+    
+    /**
+     * @method requestTilt
+     * @description Запрашивает доступ к датчику ориентации. Вызывается из обработчика
+     * нажатия, иначе браузер откажет без вопроса
+     * @returns {Promise<boolean>} - Разрешен ли наклон
+     */
+    async requestTilt() {
+        if (this.tiltState !== 'prompt') {
+            return this.tiltState === 'granted';
+        }
+        
+        try {
+            const permission = await DeviceOrientationEvent.requestPermission();
+            
+            if (permission === 'granted') {
+                this.listenOrientation();
+                console.log('📱 Наклон телефона управляет снегом');
+                return true;
+            }
+        } catch (error) {
+            console.warn('⚠️ Не удалось запросить доступ к датчику ориентации:', error);
+        }
+        
+        this.tiltState = 'denied';
+        return false;
+    }
+    
+    /**
+     * @method getTiltState
+     * @description Возвращает состояние наклона
+     * @returns {string} - unsupported, prompt, granted или denied
+     */
+    getTiltState() {
+        return this.tiltState;
+    }
+    
+    /**
+     * @method handleOrientation
+     * @description Переводит наклон устройства в направление падения с учетом поворота экрана
+     * @param {DeviceOrientationEvent} event - Событие ориентации
+     */
+    handleOrientation(event) {
+        if (event.gamma === null || event.beta === null) return;
+        
+        const angle = screen.orientation ? screen.orientation.angle : window.orientation || 0;
+        const { maxTilt } = this.settings;
+        let tilt = event.gamma;
+        
+        // Наклон вдоль горизонтали экрана: в альбомной ориентации это beta
+        if (angle === 90) {
+            tilt = event.beta;
+        } else if (angle === 270 || angle === -90) {
+            tilt = -event.beta;
+        } else if (angle === 180) {
+            tilt = -event.gamma;
+        }
+        
+        this.tiltTarget = Math.min(Math.max(tilt, -maxTilt), maxTilt) * Math.PI / 180;
+    }
+    
+    /**
+     * @method handlePointerMove
+     * @description Движение указателя поднимает ветер в ту же сторону
+     * @param {PointerEvent} event - Событие указателя
+     */
+    handlePointerMove(event) {
+        if (this.pointerX !== null) {
+            const { pointerWind, maxWind } = this.settings;
+            const wind = this.wind + (event.clientX - this.pointerX) * pointerWind;
+            
+            this.wind = Math.min(Math.max(wind, -maxWind), maxWind);
+        }
+        
+        this.pointerX = event.clientX;
+        this.pointerY = event.clientY;
+    }
+    
+    /**
+     * @method handlePointerDown
+     * @description Запоминает начало возможного свайпа
+     * @param {PointerEvent} event - Событие указателя
+     */
+    handlePointerDown(event) {
+        this.pointerX = event.clientX;
+        this.pointerY = event.clientY;
+        this.pointerStart = { x: event.clientX, y: event.clientY, time: event.timeStamp };
+    }
+    
+    /**
+     * @method handlePointerUp
+     * @description Быстрое длинное движение - свайп с порывом ветра, короткое - клик с разлетом снежинок
+     * @param {PointerEvent} event - Событие указателя
+     */
+    handlePointerUp(event) {
+        const start = this.pointerStart;
+        this.pointerStart = null;
+        
+        if (start && this.settings.interactive) {
+            const { swipeDistance, swipeTime, gustStrength, maxGust } = this.settings;
+            const dx = event.clientX - start.x;
+            const distance = Math.hypot(dx, event.clientY - start.y);
+            const duration = Math.max(event.timeStamp - start.time, 1);
+            
+            if (distance >= swipeDistance && duration <= swipeTime) {
+                // Порыв пропорционален скорости свайпа по горизонтали, px/мс
+                const gust = this.gust + dx / duration * gustStrength * 0.5;
+                this.gust = Math.min(Math.max(gust, -maxGust), maxGust);
+            } else if (distance < swipeDistance && event.type === 'pointerup' && !this.isControl(event.target)) {
+                this.bursts.push({ x: event.clientX, y: event.clientY });
+            }
+        }
+        
+        // Палец убран - отталкивать больше нечем
+        if (event.pointerType === 'touch') {
+            this.pointerX = null;
+            this.pointerY = null;
+        }
+    }
+    
+    /**
+     * @method isControl
+     * @description Проверяет, пришелся ли клик на элемент управления (кнопки звука, снега и т.п.)
+     * @param {EventTarget} target - Цель события
+     * @returns {boolean}
+     */
+    isControl(target) {
+        return Boolean(target && target.closest && target.closest('button, input, select, a'));
+    }
+    
+    /**
+     * @method handlePointerOut
+     * @description Указатель покинул окно
+     * @param {PointerEvent} event - Событие указателя
+     */
+    handlePointerOut(event) {
+        if (!event.relatedTarget) {
+            this.pointerX = null;
+            this.pointerY = null;
+        }
+    }
+    
+    /**
+     * @method update
+     * @description Ослабляет ветер от указателя и плавно доворачивает наклон
+     */
+    update() {
+        this.wind *= 0.96;
+        this.gust *= 0.97;
+        
+        const angle = Math.atan2(this.tiltX, this.tiltY);
+        const next = angle + (this.tiltTarget - angle) * 0.1;
+        
+        this.tiltX = Math.sin(next);
+        this.tiltY = Math.cos(next);
+    }
+    
+    /**
+     * @method getWind
+     * @description Возвращает ветер от указателя и свайпов
+     * @returns {number} - px за кадр
+     */
+    getWind() {
+        return this.wind + this.gust;
+    }
+    
+    /**
+     * @method affect
+     * @description Толкает снежинку от указателя и от места клика. Дальние слои
+     * смещаются слабее, как и при ветре
+     * @param {Object} flake - Снежинка с x, y, vx, vy и depth
+     */
+    affect(flake) {
+        if (!this.settings.interactive) return;
+        
+        const { repelRadius, repelStrength, gustRadius, gustStrength } = this.settings;
+        
+        if (this.pointerX !== null) {
+            this.push(flake, this.pointerX, this.pointerY, repelRadius, repelStrength);
+        }
+        
+        for (const burst of this.bursts) {
+            this.push(flake, burst.x, burst.y, gustRadius, gustStrength);
+        }
+    }
+    
+    /**
+     * @method push
+     * @description Добавляет снежинке скорость от точки, затухающую к краю радиуса
+     * @param {Object} flake - Снежинка
+     * @param {number} x - X источника, px
+     * @param {number} y - Y источника, px
+     * @param {number} radius - Радиус действия, px
+     * @param {number} strength - Сила у источника, px за кадр
+     */
+    push(flake, x, y, radius, strength) {
+        const dx = flake.x - x;
+        const dy = flake.y - y;
+        
+        if (Math.abs(dx) > radius || Math.abs(dy) > radius) return;
+        
+        const distance = Math.hypot(dx, dy);
+        
+        if (distance === 0 || distance > radius) return;
+        
+        const force = strength * (1 - distance / radius) * flake.depth;
+        
+        flake.vx += dx / distance * force;
+        flake.vy += dy / distance * force;
+    }
+    
+    /**
+     * @method endFrame
+     * @description Клики действуют один кадр
+     */
+    endFrame() {
+        this.bursts.length = 0;
+    }
+    
+    /**
+     * @method destroy
+     * @description Отписывается от событий
+     */
+    destroy() {
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerdown', this.handlePointerDown);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        window.removeEventListener('pointercancel', this.handlePointerUp);
+        document.removeEventListener('pointerout', this.handlePointerOut);
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+    }
+}
\ No newline at end of file
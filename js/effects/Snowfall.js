@@ -0,0 +1,717 @@
+import { Random } from '../core/Random.js';
+import { SnowCover } from './SnowCover.js';
+import { SnowflakeSprites } from './SnowflakeSprites.js';
+import { SnowInteraction } from './SnowInteraction.js';
+
+/**
+ * @file Snowfall.js
+ * @class Snowfall
+ * @description Падающий снег на canvas: слои глубины с параллаксом, покачивание,
+ * реакция на указатель и наклон телефона, сугробы внизу экрана и на элементах страницы
+ */
+
+export class Snowfall {
+    /**
+     * @static
+     * @description Пресеты интенсивности. density умножает count, sizeBias смещает
+     * распределение размеров: больше 1 - больше мелких снежинок, меньше 1 - крупных хлопьев
+     * @type {Object<string, Object>}
+     */
+    static INTENSITIES = {
+        // Редкие крупные хлопья медленно кружатся
+        flurries: {
+            density: 0.4,
+            fallSpeed: 0.7,
+            wind: 0.15,
+            gust: 0.2,
+            drift: 16,
+            minSize: 1.4,
+            maxSize: 3.8,
+            sizeBias: 0.7
+        },
+        // Ровный снегопад
+        steady: {
+            density: 1,
+            fallSpeed: 1.2,
+            wind: 0,
+            gust: 0.3,
+            drift: 12,
+            minSize: 1.2,
+            maxSize: 3.4,
+            sizeBias: 1
+        },
+        // Метель: густой мелкий снег летит почти горизонтально
+        blizzard: {
+            density: 2,
+            fallSpeed: 3,
+            wind: 2.5,
+            gust: 1.5,
+            drift: 5,
+            minSize: 0.8,
+            maxSize: 2.8,
+            sizeBias: 1.8
+        }
+    };
+    
+    /**
+     * @static
+     * @method getIntensityNames
+     * @description Возвращает имена пресетов интенсивности
+     * @returns {string[]}
+     */
+    static getIntensityNames() {
+        return Object.keys(Snowfall.INTENSITIES);
+    }
+    
+    /**
+     * @static
+     * @method resolveIntensity
+     * @description Превращает имя пресета или { preset, ...переопределения } в параметры снегопада
+     * @param {string|Object} intensity - Интенсивность
+     * @returns {Object} - { name, values }
+     */
+    static resolveIntensity(intensity) {
+        const { preset = 'steady', ...overrides } = typeof intensity === 'string' ? { preset: intensity } : intensity;
+        
+        if (!Snowfall.INTENSITIES[preset]) {
+            console.warn(`⚠️ Неизвестная интенсивность снега "${preset}", используется steady`);
+            return { name: 'steady', values: { ...Snowfall.INTENSITIES.steady, ...overrides } };
+        }
+        
+        return { name: preset, values: { ...Snowfall.INTENSITIES[preset], ...overrides } };
+    }
+    
+    /**
+     * @constructor
+     * @param {HTMLElement} container - Контейнер, в который добавляется canvas
+     * @param {Object} options - Настройки снегопада
+     */
+    constructor(container, options = {}) {
+        this.defaults = {
+            // Количество снежинок при density 1
+            count: 220,
+            // Количество слоев глубины: дальние снежинки мельче, бледнее и медленнее
+            layers: 3,
+            minOpacity: 0.5,
+            maxOpacity: 1.0,
+            // Пресет из INTENSITIES или { preset, ...переопределения }. Значения заданы для ближнего слоя:
+            // fallSpeed и wind - px за кадр, drift - амплитуда покачивания и minSize/maxSize - радиус в px
+            intensity: 'steady',
+            // Длительность перехода между пресетами, мс
+            transitionDuration: 4000,
+            // Вид снежинок: сколько сгенерировать кристаллов, картинки (адреса PNG/SVG)
+            // и доли круглых снежинок, кристаллов и картинок
+            crystals: 12,
+            sprites: [],
+            mix: { dots: 0.6, crystals: 0.4, sprites: 0.4 },
+            // Во сколько раз кристалл или картинка больше радиуса снежинки
+            spriteScale: 3,
+            // Настройки SnowInteraction (ветер от указателя, отталкивание, порывы, наклон)
+            // или false, чтобы снег не реагировал на пользователя
+            interaction: {},
+            // Доля разницы, на которую ветер догоняет целевое значение за кадр
+            windEase: 0.03,
+            // Накопление снега внизу экрана и на элементах (селектор или false)
+            accumulate: true,
+            surfaces: '.time-box',
+            groundHeight: 40,
+            surfaceHeight: 12,
+            // Как часто уточняется положение элементов, мс
+            measureInterval: 1000,
+            maxPixelRatio: 2,
+            resizeDelay: 150,
+            random: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.random = this.settings.random || new Random();
+        this.container = container;
+        this.canvas = null;
+        this.ctx = null;
+        this.layers = [];
+        this.targets = [];
+        this.weather = null;
+        this.transition = null;
+        this.intensity = null;
+        this.images = null;
+        this.ground = null;
+        this.surfaces = [];
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.wind = 0;
+        this.interaction = null;
+        this.lastMeasure = 0;
+        this.animationId = null;
+        this.resizeTimeoutId = null;
+        this.isRunning = false;
+        
+        this.loop = this.loop.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+        this.resizeCanvas = this.resizeCanvas.bind(this);
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает canvas, сугробы и снежинки
+     */
+    initialize() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'snowfall-canvas';
+        this.ctx = this.canvas.getContext('2d');
+        this.container.appendChild(this.canvas);
+        
+        const { crystals, sprites, mix } = this.settings;
+        this.images = new SnowflakeSprites({ crystals, sprites, mix, random: this.random.fork('sprites') });
+        
+        if (this.settings.accumulate) {
+            this.ground = new SnowCover({ maxHeight: this.settings.groundHeight });
+        }
+        
+        if (this.settings.interaction !== false) {
+            this.interaction = new SnowInteraction(this.settings.interaction);
+        }
+        
+        this.setIntensity(this.settings.intensity, 0);
+        this.resizeCanvas();
+        this.setCount(this.settings.count, true);
+        
+        window.addEventListener('resize', this.handleResize);
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+    }
+    
+    /**
+     * @method setCount
+     * @description Меняет количество снежинок без сброса уже падающих. Лишние убираются сразу,
+     * недостающие появляются над экраном постепенно
+     * @param {number} count - Новое количество при density 1
+     * @param {boolean} scatter - Сразу разбросать недостающие снежинки по всему экрану
+     */
+    setCount(count, scatter = false) {
+        this.settings.count = count;
+        this.updateTargets();
+        
+        this.layers.forEach((layer, index) => {
+            const target = this.targets[index];
+            
+            while (scatter && layer.length < target) {
+                layer.push(new FallingSnowflake(this, this.getDepth(index), true));
+            }
+            
+            layer.length = Math.min(layer.length, target);
+        });
+    }
+    
+    /**
+     * @method updateTargets
+     * @description Распределяет нужное количество снежинок по слоям
+     */
+    updateTargets() {
+        const layerCount = Math.max(Math.round(this.settings.layers), 1);
+        const count = Math.round(this.settings.count * this.weather.density);
+        
+        for (let i = 0; i < layerCount; i++) {
+            // Ближние слои первые получают остаток от деления
+            this.targets[i] = Math.floor(count / layerCount) + (layerCount - 1 - i < count % layerCount ? 1 : 0);
+            this.layers[i] = this.layers[i] || [];
+        }
+        
+        this.targets.length = layerCount;
+        this.layers.length = layerCount;
+    }
+    
+    /**
+     * @method getDepth
+     * @description Возвращает глубину слоя от 0 (далеко) до 1 (ближний слой)
+     * @param {number} index - Индекс слоя
+     * @returns {number}
+     */
+    getDepth(index) {
+        return (index + 1) / this.layers.length;
+    }
+    
+    /**
+     * @method setIntensity
+     * @description Плавно переводит снегопад к другому пресету: густота, скорость, ветер
+     * и размеры меняются постепенно, уже падающие снежинки не сбрасываются
+     * @param {string|Object} intensity - Имя пресета или { preset, ...переопределения }
+     * @param {number} duration - Длительность перехода, мс (0 - сразу)
+     */
+    setIntensity(intensity, duration = this.settings.transitionDuration) {
+        const { name, values } = Snowfall.resolveIntensity(intensity);
+        
+        this.intensity = name;
+        this.settings.intensity = intensity;
+        
+        if (!this.weather || duration <= 0) {
+            this.weather = { ...values };
+            this.transition = null;
+            this.applyWeather();
+            return;
+        }
+        
+        this.transition = {
+            from: { ...this.weather },
+            to: values,
+            start: performance.now(),
+            duration
+        };
+    }
+    
+    /**
+     * @method getIntensity
+     * @description Возвращает имя текущего (или целевого при переходе) пресета
+     * @returns {string}
+     */
+    getIntensity() {
+        return this.intensity;
+    }
+    
+    /**
+     * @method updateWeather
+     * @description Продвигает переход между пресетами
+     * @param {number} now - Время кадра
+     */
+    updateWeather(now) {
+        if (!this.transition) return;
+        
+        const { from, to, start, duration } = this.transition;
+        const t = Math.min(Math.max((now - start) / duration, 0), 1);
+        const eased = t * t * (3 - 2 * t);
+        
+        Object.keys(to).forEach(key => {
+            this.weather[key] = from[key] + (to[key] - from[key]) * eased;
+        });
+        
+        if (t === 1) {
+            this.transition = null;
+            this.applyWeather();
+        }
+    }
+    
+    /**
+     * @method applyWeather
+     * @description Пересчитывает снежинки по окончательным значениям погоды
+     */
+    applyWeather() {
+        this.layers.forEach(layer => layer.forEach(flake => flake.applyWeather(this.weather)));
+    }
+    
+    /**
+     * @method handleResize
+     * @description Откладывает пересчет размера, пока окно меняется
+     */
+    handleResize() {
+        clearTimeout(this.resizeTimeoutId);
+        this.resizeTimeoutId = setTimeout(this.resizeCanvas, this.settings.resizeDelay);
+    }
+    
+    /**
+     * @method resizeCanvas
+     * @description Подгоняет canvas под окно и переносит снежинки в новые пропорции
+     */
+    resizeCanvas() {
+        const previousWidth = this.width;
+        const previousHeight = this.height;
+        
+        this.resizeTimeoutId = null;
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.pixelRatio = Math.min(window.devicePixelRatio || 1, this.settings.maxPixelRatio);
+        
+        this.canvas.width = Math.round(this.width * this.pixelRatio);
+        this.canvas.height = Math.round(this.height * this.pixelRatio);
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        
+        if (previousWidth && previousHeight) {
+            const scaleX = this.width / previousWidth;
+            const scaleY = this.height / previousHeight;
+            
+            this.layers.forEach(layer => layer.forEach(flake => flake.rescale(scaleX, scaleY)));
+        }
+        
+        this.measureSurfaces();
+    }
+    
+    /**
+     * @method handleScroll
+     * @description Элементы сдвинулись - их положение уточняется в следующем кадре
+     */
+    handleScroll() {
+        this.lastMeasure = 0;
+    }
+    
+    /**
+     * @method measureSurfaces
+     * @description Находит верхние грани элементов, на которых лежит снег
+     */
+    measureSurfaces() {
+        this.lastMeasure = performance.now();
+        
+        if (!this.settings.accumulate) return;
+        
+        this.ground.setBounds(0, this.height, this.width);
+        
+        const elements = this.settings.surfaces
+            ? Array.from(document.querySelectorAll(this.settings.surfaces))
+            : [];
+        
+        this.surfaces = elements.map((element, index) => {
+            const cover = this.surfaces[index] || new SnowCover({
+                maxHeight: this.settings.surfaceHeight,
+                taper: 0.15
+            });
+            const rect = element.getBoundingClientRect();
+            
+            cover.setBounds(rect.left, rect.top, rect.width);
+            return cover;
+        });
+    }
+    
+    /**
+     * @method start
+     * @description Запускает снегопад
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.animationId = requestAnimationFrame(this.loop);
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает снегопад
+     */
+    stop() {
+        this.isRunning = false;
+        
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
+    /**
+     * @method loop
+     * @description Главный цикл анимации
+     * @param {number} timestamp - Время кадра
+     */
+    loop(timestamp) {
+        if (!this.isRunning) return;
+        
+        if (this.settings.accumulate && timestamp - this.lastMeasure >= this.settings.measureInterval) {
+            this.measureSurfaces();
+        }
+        
+        this.update(timestamp);
+        this.draw();
+        
+        this.animationId = requestAnimationFrame(this.loop);
+    }
+    
+    /**
+     * @method update
+     * @description Обновляет погоду, ветер и снежинки
+     * @param {number} now - Время кадра
+     */
+    update(now) {
+        const { windEase } = this.settings;
+        const { weather, interaction } = this;
+        
+        this.updateWeather(now);
+        this.updateTargets();
+        
+        if (interaction) {
+            interaction.update();
+        }
+        
+        // Порывы - произведение двух синусоид, общий ветер плавно догоняет целевой
+        const gust = weather.gust * Math.sin(now / 1700) * Math.sin(now / 610 + 1);
+        const userWind = interaction ? interaction.getWind() : 0;
+        this.wind += (weather.wind + gust + userWind - this.wind) * windEase;
+        
+        // Направление падения: без наклона телефона - строго вниз
+        const tiltX = interaction ? interaction.tiltX : 0;
+        const tiltY = interaction ? interaction.tiltY : 1;
+        
+        const nearest = this.layers.length - 1;
+        
+        this.layers.forEach((layer, index) => {
+            const target = this.targets[index];
+            // Оседает только ближний слой, дальние пролетают за элементами
+            const lands = this.settings.accumulate && index === nearest;
+            
+            // Недостающие снежинки появляются понемногу, чтобы не падать одной полосой
+            let spawn = Math.min(target - layer.length, Math.ceil(target / 120));
+            while (spawn-- > 0) {
+                layer.push(new FallingSnowflake(this, this.getDepth(index), false));
+            }
+            
+            for (let i = layer.length - 1; i >= 0; i--) {
+                const flake = layer[i];
+                
+                if (interaction) {
+                    interaction.affect(flake);
+                }
+                
+                const isDone = flake.update(this.wind, tiltX, tiltY) || (lands && this.land(flake));
+                
+                if (!isDone) continue;
+                
+                // Лишние снежинки после ослабления снегопада исчезают, когда долетают
+                if (layer.length > target) {
+                    layer[i] = layer[layer.length - 1];
+                    layer.pop();
+                } else {
+                    flake.reset(false);
+                }
+            }
+        });
+        
+        if (interaction) {
+            interaction.endFrame();
+        }
+    }
+    
+    /**
+     * @method getTiltState
+     * @description Возвращает состояние управления наклоном телефона
+     * @returns {string} - unsupported, prompt, granted или denied
+     */
+    getTiltState() {
+        return this.interaction ? this.interaction.getTiltState() : 'unsupported';
+    }
+    
+    /**
+     * @method requestTilt
+     * @description Запрашивает доступ к датчику ориентации (вызывать из обработчика нажатия)
+     * @returns {Promise<boolean>} - Разрешен ли наклон
+     */
+    requestTilt() {
+        return this.interaction ? this.interaction.requestTilt() : Promise.resolve(false);
+    }
+    
+    /**
+     * @method land
+     * @description Проверяет, легла ли снежинка на элемент или на землю
+     * @param {FallingSnowflake} flake - Снежинка
+     * @returns {boolean} - Легла ли снежинка
+     */
+    land(flake) {
+        for (const surface of this.surfaces) {
+            if (!surface.contains(flake.x) || surface.isFull(flake.x)) continue;
+            
+            const surfaceY = surface.getSurfaceY(flake.x);
+            
+            // Снежинка ложится, только если в прошлом кадре была над сугробом
+            if (flake.y + flake.radius >= surfaceY && flake.previousY + flake.radius <= surfaceY + flake.speed) {
+                surface.deposit(flake.x, flake.radius);
+                return true;
+            }
+        }
+        
+        if (flake.y + flake.radius >= this.ground.getSurfaceY(flake.x)) {
+            this.ground.deposit(flake.x, flake.radius);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * @method draw
+     * @description Рисует слои от дальнего к ближнему и сугробы
+     */
+    draw() {
+        const { ctx } = this;
+        
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = '#ffffff';
+        
+        this.layers.forEach(layer => layer.forEach(flake => flake.draw(ctx, this.pixelRatio)));
+        
+        if (this.settings.accumulate) {
+            ctx.globalAlpha = 0.95;
+            this.surfaces.forEach(surface => surface.draw(ctx));
+            this.ground.draw(ctx);
+        }
+        
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * @method clearCover
+     * @description Убирает накопленный снег
+     */
+    clearCover() {
+        if (this.ground) {
+            this.ground.clear();
+        }
+        
+        this.surfaces.forEach(surface => surface.clear());
+    }
+    
+    /**
+     * @method destroy
+     * @description Останавливает снегопад и удаляет canvas
+     */
+    destroy() {
+        this.stop();
+        clearTimeout(this.resizeTimeoutId);
+        window.removeEventListener('resize', this.handleResize);
+        window.removeEventListener('scroll', this.handleScroll);
+        
+        if (this.interaction) {
+            this.interaction.destroy();
+            this.interaction = null;
+        }
+        
+        this.layers = [];
+        this.targets = [];
+        this.surfaces = [];
+        
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+    }
+}
+
+/**
+ * @class FallingSnowflake
+ * @description Одна падающая снежинка
+ */
+class FallingSnowflake {
+    /**
+     * @constructor
+     * @param {Snowfall} snowfall - Снегопад, которому принадлежит снежинка
+     * @param {number} depth - Глубина слоя от 0 (далеко) до 1 (ближний слой)
+     * @param {boolean} scatter - Появиться в случайном месте экрана, а не над ним
+     */
+    constructor(snowfall, depth, scatter) {
+        this.snowfall = snowfall;
+        this.depth = depth;
+        this.reset(scatter);
+    }
+    
+    /**
+     * @method reset
+     * @description Выбирает новые параметры и место появления. Размер, скорость и покачивание
+     * хранятся как доли, чтобы снежинка следовала за сменой интенсивности
+     * @param {boolean} scatter - Появиться в случайном месте экрана, а не над ним
+     */
+    reset(scatter) {
+        const { random, settings, width, height } = this.snowfall;
+        
+        this.sizeFactor = random.next();
+        this.speedFactor = random.range(0.8, 1.2);
+        this.driftFactor = random.range(0.5, 1);
+        this.opacity = random.range(settings.minOpacity, settings.maxOpacity) * (0.45 + 0.55 * this.depth);
+        this.driftFrequency = random.range(0.01, 0.03);
+        this.phase = random.range(0, Math.PI * 2);
+        this.image = this.snowfall.images.pick();
+        this.vx = 0;
+        this.vy = 0;
+        this.rotation = random.range(0, Math.PI * 2);
+        this.spin = random.range(-0.02, 0.02);
+        this.applyWeather(this.snowfall.weather);
+        
+        this.x = random.range(0, width);
+        this.y = scatter ? random.range(0, height) : -this.radius - random.range(0, 40);
+        this.previousY = this.y;
+    }
+    
+    /**
+     * @method applyWeather
+     * @description Пересчитывает размер, скорость и покачивание по текущей погоде
+     * @param {Object} weather - Параметры интенсивности
+     */
+    applyWeather(weather) {
+        const { depth } = this;
+        const size = weather.minSize + (weather.maxSize - weather.minSize) * Math.pow(this.sizeFactor, weather.sizeBias);
+        
+        this.radius = size * (0.4 + 0.6 * depth);
+        this.speed = weather.fallSpeed * (0.35 + 0.65 * depth) * this.speedFactor;
+        this.driftAmplitude = weather.drift * depth * this.driftFactor;
+    }
+    
+    /**
+     * @method rescale
+     * @description Переносит снежинку в новые размеры экрана
+     * @param {number} scaleX - Отношение новой ширины к старой
+     * @param {number} scaleY - Отношение новой высоты к старой
+     */
+    rescale(scaleX, scaleY) {
+        this.x *= scaleX;
+        this.y *= scaleY;
+        this.previousY = this.y;
+    }
+    
+    /**
+     * @method update
+     * @description Сдвигает снежинку
+     * @param {number} wind - Текущий ветер, px за кадр
+     * @param {number} tiltX - Горизонтальная составляющая направления падения
+     * @param {number} tiltY - Вертикальная составляющая направления падения
+     * @returns {boolean} - Улетела ли снежинка за нижний край
+     */
+    update(wind, tiltX, tiltY) {
+        const { width, height, transition } = this.snowfall;
+        
+        if (transition) {
+            this.applyWeather(this.snowfall.weather);
+        }
+        
+        // Покачивание - производная синусоиды, поэтому снежинка колеблется около своей линии
+        this.phase += this.driftFrequency;
+        this.previousY = this.y;
+        this.x += wind * this.depth + Math.cos(this.phase) * this.driftAmplitude * this.driftFrequency;
+        this.x += this.speed * tiltX + this.vx;
+        this.y += this.speed * tiltY + this.vy;
+        this.rotation += this.spin;
+        
+        // Толчки от указателя и клика затухают
+        this.vx *= 0.94;
+        this.vy *= 0.94;
+        
+        // Ветер уносит за край - снежинка возвращается с другой стороны
+        if (this.x < -this.radius) {
+            this.x += width + this.radius * 2;
+        } else if (this.x > width + this.radius) {
+            this.x -= width + this.radius * 2;
+        }
+        
+        return this.y > height + this.radius;
+    }
+    
+    /**
+     * @method draw
+     * @description Рисует снежинку кругом или повернутым растром
+     * @param {CanvasRenderingContext2D} ctx - Контекст canvas
+     * @param {number} pixelRatio - Масштаб canvas
+     */
+    draw(ctx, pixelRatio) {
+        ctx.globalAlpha = this.opacity;
+        
+        if (!this.image) {
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+        
+        const size = this.radius * this.snowfall.settings.spriteScale;
+        const cos = Math.cos(this.rotation) * pixelRatio;
+        const sin = Math.sin(this.rotation) * pixelRatio;
+        
+        ctx.setTransform(cos, sin, -sin, cos, this.x * pixelRatio, this.y * pixelRatio);
+        ctx.drawImage(this.image, -size, -size, size * 2, size * 2);
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,246 @@
+import { Random } from '../core/Random.js';
+
+/**
+ * @file SnowflakeSprites.js
+ * @class SnowflakeSprites
+ * @description Набор изображений снежинок: процедурные шестилучевые кристаллы
+ * и пользовательские картинки (PNG, SVG). Все они заранее растеризуются
+ * в небольшие offscreen-canvas, поэтому в кадре остается только drawImage
+ */
+
+export class SnowflakeSprites {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки набора
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            // Сколько разных кристаллов сгенерировать
+            crystals: 12,
+            // Адреса картинок или готовые Image/Canvas
+            sprites: [],
+            // Размер растра одного изображения, px
+            size: 64,
+            // Доли видов снежинок; виды без изображений не участвуют
+            mix: { dots: 0.6, crystals: 0.4, sprites: 0.4 },
+            random: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.settings.mix = { ...this.defaults.mix, ...options.mix };
+        this.random = this.settings.random || new Random();
+        this.crystals = [];
+        this.sprites = [];
+        this.ready = null;
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Генерирует кристаллы и начинает загрузку картинок
+     */
+    initialize() {
+        for (let i = 0; i < this.settings.crystals; i++) {
+            this.crystals.push(this.createCrystal());
+        }
+        
+        this.ready = this.loadSprites(this.settings.sprites);
+    }
+    
+    /**
+     * @method createCanvas
+     * @description Создает холст для растра
+     * @param {number} size - Сторона холста, px
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    createCanvas(size) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(size, size);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+    
+    /**
+     * @method createCrystal
+     * @description Рисует случайный кристалл с шестилучевой симметрией
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    createCrystal() {
+        const { size } = this.settings;
+        const { random } = this;
+        const canvas = this.createCanvas(size);
+        const ctx = canvas.getContext('2d');
+        const lineWidth = random.range(size * 0.025, size * 0.045);
+        const radius = size / 2 - lineWidth * 3;
+        
+        // Ответвления от оси луча: положение на луче, длина и угол
+        const branches = Array.from({ length: random.int(1, 5) }, () => {
+            const position = random.range(0.25, 0.85);
+            
+            return {
+                position,
+                length: random.range(0.15, 0.45) * radius * (1 - position * 0.5),
+                angle: random.range(Math.PI / 6, Math.PI / 3)
+            };
+        });
+        const plate = random.chance(0.5) ? random.range(0.15, 0.3) * radius : 0;
+        const tip = random.chance(0.5) ? random.range(0.05, 0.1) * radius : 0;
+        
+        ctx.translate(size / 2, size / 2);
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowColor = 'rgba(255, 255, 255, 0.8)';
+        ctx.shadowBlur = lineWidth * 2;
+        
+        if (plate) {
+            this.drawHexagon(ctx, plate);
+            ctx.fill();
+            ctx.stroke();
+        }
+        
+        // Один луч рисуется шесть раз с поворотом на 60°, ответвления зеркальны
+        for (let arm = 0; arm < 6; arm++) {
+            ctx.beginPath();
+            ctx.moveTo(0, -plate);
+            ctx.lineTo(0, -radius);
+            
+            branches.forEach(({ position, length, angle }) => {
+                const y = -radius * position;
+                const dx = Math.sin(angle) * length;
+                const dy = Math.cos(angle) * length;
+                
+                ctx.moveTo(-dx, y - dy);
+                ctx.lineTo(0, y);
+                ctx.lineTo(dx, y - dy);
+            });
+            
+            ctx.stroke();
+            
+            if (tip) {
+                ctx.beginPath();
+                ctx.moveTo(0, -radius - tip);
+                ctx.lineTo(tip * 0.6, -radius);
+                ctx.lineTo(0, -radius + tip);
+                ctx.lineTo(-tip * 0.6, -radius);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            }
+            
+            ctx.rotate(Math.PI / 3);
+        }
+        
+        return canvas;
+    }
+    
+    /**
+     * @method drawHexagon
+     * @description Строит путь шестиугольника с центром в начале координат
+     * @param {CanvasRenderingContext2D} ctx - Контекст
+     * @param {number} radius - Радиус описанной окружности
+     */
+    drawHexagon(ctx, radius) {
+        ctx.beginPath();
+        
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 3 * i;
+            ctx.lineTo(Math.sin(angle) * radius, -Math.cos(angle) * radius);
+        }
+        
+        ctx.closePath();
+    }
+    
+    /**
+     * @method loadSprites
+     * @description Загружает и растеризует картинки. Незагрузившиеся пропускаются
+     * @param {Array<string|CanvasImageSource>} sources - Адреса или изображения
+     * @returns {Promise<void>}
+     */
+    async loadSprites(sources) {
+        const images = await Promise.all(sources.map(source => this.loadImage(source)));
+        
+        images.filter(Boolean).forEach(image => {
+            this.sprites.push(this.rasterize(image));
+        });
+        
+        if (this.sprites.length) {
+            console.log(`❄️ Загружено картинок снежинок: ${this.sprites.length}`);
+        }
+    }
+    
+    /**
+     * @method loadImage
+     * @description Загружает картинку по адресу
+     * @param {string|CanvasImageSource} source - Адрес или готовое изображение
+     * @returns {Promise<CanvasImageSource|null>}
+     */
+    async loadImage(source) {
+        if (typeof source !== 'string') return source;
+        
+        const image = new Image();
+        image.decoding = 'async';
+        image.src = source;
+        
+        try {
+            await image.decode();
+            return image;
+        } catch (error) {
+            console.warn(`⚠️ Не удалось загрузить снежинку "${source}"`);
+            return null;
+        }
+    }
+    
+    /**
+     * @method rasterize
+     * @description Вписывает изображение в квадратный растр с сохранением пропорций.
+     * SVG растеризуется один раз, а не при каждой отрисовке
+     * @param {CanvasImageSource} image - Изображение
+     * @returns {OffscreenCanvas|HTMLCanvasElement}
+     */
+    rasterize(image) {
+        const { size } = this.settings;
+        const canvas = this.createCanvas(size);
+        const width = image.naturalWidth || image.width || size;
+        const height = image.naturalHeight || image.height || size;
+        const scale = size / Math.max(width, height);
+        
+        canvas.getContext('2d').drawImage(
+            image,
+            (size - width * scale) / 2,
+            (size - height * scale) / 2,
+            width * scale,
+            height * scale
+        );
+        
+        return canvas;
+    }
+    
+    /**
+     * @method pick
+     * @description Выбирает вид новой снежинки по долям mix
+     * @returns {OffscreenCanvas|HTMLCanvasElement|null} - Растр или null для круглой снежинки
+     */
+    pick() {
+        const { mix } = this.settings;
+        const crystals = this.crystals.length ? mix.crystals : 0;
+        const sprites = this.sprites.length ? mix.sprites : 0;
+        const total = mix.dots + crystals + sprites;
+        
+        if (!total) return null;
+        
+        const value = this.random.next() * total;
+        
+        if (value < mix.dots) return null;
+        if (value < mix.dots + crystals) return this.random.pick(this.crystals);
+        
+        return this.random.pick(this.sprites);
+    }
+}
\ No newline at end of file
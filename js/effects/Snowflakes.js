@@ -1,7 +1,12 @@
+import { Random } from '../core/Random.js';
+import { EventBus } from '../core/EventBus.js';
+import { Snowfall } from './Snowfall.js';
+
 /**
  * @file Snowflakes.js
  * @class Snowflakes
- * @description Система мерцающих снежинок
+ * @description Система снежинок: падающий снег на canvas (falling)
+ * или мерцающие снежинки на месте (floating)
  */
 
 export class Snowflakes {
@@ -12,6 +17,13 @@ export class Snowflakes {
     constructor(options = {}) {
         this.defaults = {
             containerId: 'custom-snow',
+            bus: null,
+            // falling - снегопад на canvas, floating - прежние мерцающие снежинки
+            mode: 'falling',
+            // Настройки Snowfall для режима falling (слои, ветер, накопление)
+            snowfall: {},
+            // Интенсивность из Snowfall.INTENSITIES или { preset, ...переопределения }
+            intensity: 'steady',
             count: 220,
             minSize: 0.7,
             maxSize: 2.2,
@@ -20,12 +32,16 @@ export class Snowflakes {
             animations: ['rotate', 'pulse', 'twinkle'],
             minDuration: 3,
             maxDuration: 7,
-            maxDelay: 5
+            maxDelay: 5,
+            random: null
         };
         
         this.settings = { ...this.defaults, ...options };
+        this.random = this.settings.random || new Random();
         this.container = null;
         this.snowflakes = [];
+        this.snowfall = null;
+        this.intensity = Snowfall.resolveIntensity(this.settings.intensity);
         
         this.initialize();
     }
@@ -42,8 +58,32 @@ export class Snowflakes {
             return;
         }
         
-        this.createSnowflakes();
-        console.log('❄️ Система снежинок инициализирована');
+        if (this.settings.mode === 'falling') {
+            this.createSnowfall();
+        } else {
+            this.createSnowflakes();
+        }
+        
+        console.log(`❄️ Система снежинок инициализирована (${this.settings.mode})`);
+    }
+    
+    /**
+     * @method createSnowfall
+     * @description Запускает падающий снег на canvas
+     */
+    createSnowfall() {
+        const { count, minOpacity, maxOpacity, snowfall } = this.settings;
+        
+        this.snowfall = new Snowfall(this.container, {
+            count,
+            intensity: this.getIntensityOptions(),
+            minOpacity,
+            maxOpacity,
+            random: this.random,
+            ...snowfall
+        });
+        
+        this.snowfall.start();
     }
     
     /**
@@ -51,7 +91,9 @@ export class Snowflakes {
      * @description Создает снежинки
      */
     createSnowflakes() {
-        for (let i = 0; i < this.settings.count; i++) {
+        const count = Math.round(this.settings.count * this.intensity.values.density);
+        
+        for (let i = 0; i < count; i++) {
             this.createSnowflake(i);
         }
     }
@@ -69,11 +111,11 @@ export class Snowflakes {
         // Случайные параметры
         const size = this.randomRange(this.settings.minSize, this.settings.maxSize);
         const opacity = this.randomRange(this.settings.minOpacity, this.settings.maxOpacity);
-        const left = Math.random() * 100;
-        const top = Math.random() * 100;
+        const left = this.random.range(0, 100);
+        const top = this.random.range(0, 100);
         const animation = this.getRandomAnimation();
         const duration = this.randomRange(this.settings.minDuration, this.settings.maxDuration);
-        const delay = Math.random() * this.settings.maxDelay;
+        const delay = this.random.range(0, this.settings.maxDelay);
         
         // Применение стилей
         snowflake.style.cssText = `
@@ -94,14 +136,77 @@ export class Snowflakes {
         this.snowflakes.push(snowflake);
     }
     
+    /**
+     * @method setIntensity
+     * @description Меняет интенсивность снега. Снегопад переходит к ней плавно,
+     * мерцающие снежинки пересоздаются с новой густотой
+     * @param {string|Object} intensity - Имя пресета или { preset, ...переопределения }
+     * @param {number} duration - Длительность перехода, мс (по умолчанию из настроек Snowfall)
+     */
+    setIntensity(intensity, duration) {
+        const previous = this.intensity.name;
+        
+        this.intensity = Snowfall.resolveIntensity(intensity);
+        this.settings.intensity = intensity;
+        
+        if (this.snowfall) {
+            this.snowfall.setIntensity(this.getIntensityOptions(), duration);
+        } else if (this.container) {
+            this.recreate();
+        }
+        
+        if (this.intensity.name !== previous) {
+            console.log(`🌨️ Интенсивность снега: ${this.intensity.name}`);
+        }
+        
+        if (this.settings.bus) {
+            this.settings.bus.emit(EventBus.EVENTS.SNOW_INTENSITY, { intensity: this.intensity.name });
+        }
+    }
+    
+    /**
+     * @method getIntensityOptions
+     * @description Возвращает проверенную интенсивность для Snowfall
+     * @returns {Object} - { preset, ...значения }
+     */
+    getIntensityOptions() {
+        return { preset: this.intensity.name, ...this.intensity.values };
+    }
+    
+    /**
+     * @method getIntensity
+     * @description Возвращает имя текущего пресета интенсивности
+     * @returns {string}
+     */
+    getIntensity() {
+        return this.intensity.name;
+    }
+    
+    /**
+     * @method getTiltState
+     * @description Возвращает состояние управления снегом наклоном телефона
+     * @returns {string} - unsupported, prompt, granted или denied
+     */
+    getTiltState() {
+        return this.snowfall ? this.snowfall.getTiltState() : 'unsupported';
+    }
+    
+    /**
+     * @method requestTilt
+     * @description Запрашивает доступ к датчику ориентации (вызывать из обработчика нажатия)
+     * @returns {Promise<boolean>} - Разрешен ли наклон
+     */
+    requestTilt() {
+        return this.snowfall ? this.snowfall.requestTilt() : Promise.resolve(false);
+    }
+    
     /**
      * @method getRandomAnimation
      * @description Возвращает случайное имя анимации
      * @returns {string}
      */
     getRandomAnimation() {
-        const animations = this.settings.animations;
-        return animations[Math.floor(Math.random() * animations.length)];
+        return this.random.pick(this.settings.animations);
     }
     
     /**
@@ -112,7 +217,7 @@ export class Snowflakes {
      * @returns {number}
      */
     randomRange(min, max) {
-        return Math.random() * (max - min) + min;
+        return this.random.range(min, max);
     }
     
     /**
@@ -129,6 +234,11 @@ export class Snowflakes {
      * @description Удаляет все снежинки
      */
     destroy() {
+        if (this.snowfall) {
+            this.snowfall.destroy();
+            this.snowfall = null;
+        }
+        
         this.snowflakes.forEach(snowflake => {
             if (snowflake.parentNode === this.container) {
                 this.container.removeChild(snowflake);
@@ -144,12 +254,17 @@ export class Snowflakes {
      * @param {number} newCount - Новое количество снежинок
      */
     recreate(newCount = null) {
-        this.destroy();
-        
         if (newCount !== null) {
             this.settings.count = newCount;
         }
         
+        // Снегопад меняет количество на ходу, не сбрасывая падающие снежинки
+        if (this.snowfall) {
+            this.snowfall.setCount(this.settings.count);
+            return;
+        }
+        
+        this.destroy();
         this.createSnowflakes();
     }
 }
\ No newline at end of file
@@ -7,11 +7,37 @@
 // Импорт классов
 import { App } from './core/App.js';
 import { Countdown } from './core/Countdown.js';
+import { TimeZones } from './core/TimeZones.js';
+import { TimeSync } from './core/TimeSync.js';
+import { EventConfig } from './core/EventConfig.js';
+import { EventBus } from './core/EventBus.js';
+import { MilestoneSchedule } from './core/MilestoneSchedule.js';
 import { FactsManager } from './core/FactsManager.js';
+import { Random } from './core/Random.js';
+import { QualityGovernor } from './core/QualityGovernor.js';
+import { AudioEngine } from './audio/AudioEngine.js';
+import { Chimes } from './audio/Chimes.js';
+import { FireworkSounds } from './audio/FireworkSounds.js';
 import { Modal } from './ui/Modal.js';
 import { Animations } from './ui/Animations.js';
+import { Banner } from './ui/Banner.js';
+import { FinalCountdown } from './ui/FinalCountdown.js';
+import { TimezonePanel } from './ui/TimezonePanel.js';
+import { NewYearWave } from './ui/NewYearWave.js';
+import { PerformanceOverlay } from './ui/PerformanceOverlay.js';
+import { SoundControls } from './ui/SoundControls.js';
+import { SnowControls } from './ui/SnowControls.js';
 import { Fireworks } from './effects/Fireworks.js';
+import { FireworksEngine } from './effects/FireworksEngine.js';
+import { FireworkShapes } from './effects/FireworkShapes.js';
+import { FireworkPhysics } from './effects/FireworkPhysics.js';
+import { FireworkShow } from './effects/FireworkShow.js';
 import { Snowflakes } from './effects/Snowflakes.js';
+import { Snowfall } from './effects/Snowfall.js';
+import { SnowCover } from './effects/SnowCover.js';
+import { SnowflakeSprites } from './effects/SnowflakeSprites.js';
+import { SnowInteraction } from './effects/SnowInteraction.js';
+import { ParticlePresets } from './effects/ParticlePresets.js';
 import { Particles } from './effects/Particles.js';
 
 /**
@@ -44,11 +70,23 @@ async function initializeApp() {
 function initializeFallback() {
     console.log('🔄 Запуск запасной инициализации...');
     
+    // Коррекция часов устройства в фоне, если она включена параметром ?sync
+    const timeSync = new TimeSync();
+    
+    if (EventConfig.readParams(window.location).has('sync')) {
+        timeSync.sync().catch(() => {});
+    }
+    
+    // Событие из адреса страницы или Новый Год по умолчанию
+    const eventConfig = EventConfig.fromLocation();
+    
     // Базовый счетчик
     const updateCountdown = () => {
-        const now = new Date();
-        const target = new Date(`January 1, ${now.getFullYear() + 1} 00:00:00`);
-        const diff = target - now;
+        const now = new Date(timeSync.now());
+        const target = eventConfig
+            ? eventConfig.targetDate
+            : new Date(`January 1, ${now.getFullYear() + 1} 00:00:00`);
+        const diff = Math.max(0, target - now);
         
         const d = Math.floor(diff / (1000 * 60 * 60 * 24));
         const h = Math.floor((diff / (1000 * 60 * 60)) % 24);
@@ -81,10 +119,36 @@ if (document.readyState === 'loading') {
 export {
     App,
     Countdown,
+    TimeZones,
+    TimeSync,
+    EventConfig,
+    EventBus,
+    MilestoneSchedule,
     FactsManager,
+    Random,
+    QualityGovernor,
+    AudioEngine,
+    Chimes,
+    FireworkSounds,
     Modal,
     Animations,
+    Banner,
+    FinalCountdown,
+    TimezonePanel,
+    NewYearWave,
+    PerformanceOverlay,
+    SoundControls,
+    SnowControls,
     Fireworks,
+    FireworksEngine,
+    FireworkShapes,
+    FireworkPhysics,
+    FireworkShow,
     Snowflakes,
+    Snowfall,
+    SnowCover,
+    SnowflakeSprites,
+    SnowInteraction,
+    ParticlePresets,
     Particles
 };
\ No newline at end of file
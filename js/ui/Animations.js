@@ -1,3 +1,5 @@
+import { Random } from '../core/Random.js';
+
 /**
  * @file Animations.js
  * @class Animations
@@ -15,10 +17,12 @@ export class Animations {
             staggerDelay: 0.2,
             buttonAnimationDelay: 1.5,
             useReducedMotion: false,
-            debugMode: false
+            debugMode: false,
+            random: null
         };
         
         this.settings = { ...this.defaults, ...options };
+        this.random = this.settings.random || new Random();
         this.timelines = {};
         this.animations = {};
         this.isInitialized = false;
@@ -353,6 +357,25 @@ export class Animations {
         });
     }
     
+    /**
+     * @method setDigitScale
+     * @description Плавно меняет размер цифр счетчика
+     * @param {number} scale - Множитель размера (1 - обычный размер)
+     * @param {number} duration - Длительность перехода в секундах
+     */
+    setDigitScale(scale, duration = 0.6) {
+        const countdown = document.querySelector('.countdown');
+        
+        if (!countdown) return;
+        
+        // Масштаб задается через CSS-переменную, чтобы не конфликтовать с анимацией смены цифр
+        gsap.to(countdown, {
+            '--digit-scale': scale,
+            duration: this.settings.useReducedMotion ? 0 : duration,
+            ease: "power2.out"
+        });
+    }
+    
     /**
      * @method celebrateNewYear
      * @description Запускает праздничные анимации при наступлении Нового Года
@@ -400,9 +423,9 @@ export class Animations {
             confetti.classList.add('confetti');
             
             // Случайные параметры
-            const size = Math.random() * 10 + 5;
-            const color = colors[Math.floor(Math.random() * colors.length)];
-            const startX = Math.random() * window.innerWidth;
+            const size = this.random.range(5, 15);
+            const color = this.random.pick(colors);
+            const startX = this.random.range(0, window.innerWidth);
             
             Object.assign(confetti.style, {
                 position: 'fixed',
@@ -411,7 +434,7 @@ export class Animations {
                 backgroundColor: color,
                 top: '-20px',
                 left: `${startX}px`,
-                borderRadius: Math.random() > 0.5 ? '50%' : '0',
+                borderRadius: this.random.chance(0.5) ? '50%' : '0',
                 pointerEvents: 'none',
                 zIndex: '9999'
             });
@@ -421,9 +444,9 @@ export class Animations {
             // Анимация падения
             gsap.to(confetti, {
                 y: window.innerHeight + 20,
-                rotation: Math.random() * 360,
-                x: Math.random() * 200 - 100,
-                duration: Math.random() * 2 + 2,
+                rotation: this.random.range(0, 360),
+                x: this.random.range(-100, 100),
+                duration: this.random.range(2, 4),
                 ease: "power2.in",
                 onComplete: () => {
                     confetti.remove();
@@ -0,0 +1,94 @@
+/**
+ * @file Banner.js
+ * @class Banner
+ * @description Всплывающий баннер с сообщениями о вехах отсчета
+ */
+
+export class Banner {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки баннера
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            className: 'milestone-banner',
+            duration: 4000,
+            animationDuration: 0.5
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.element = null;
+        this.hideTimeoutId = null;
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает элемент баннера
+     */
+    initialize() {
+        this.element = document.createElement('div');
+        this.element.classList.add(this.settings.className);
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        
+        document.body.appendChild(this.element);
+        
+        // Центрирование через GSAP, чтобы сдвиг не сбрасывался анимацией
+        gsap.set(this.element, { xPercent: -50 });
+    }
+    
+    /**
+     * @method show
+     * @description Показывает сообщение и скрывает его через заданное время
+     * @param {string} text - Текст сообщения
+     * @param {number} duration - Время показа в миллисекундах
+     */
+    show(text, duration = this.settings.duration) {
+        if (!this.element || !text) return;
+        
+        clearTimeout(this.hideTimeoutId);
+        this.element.textContent = text;
+        
+        gsap.fromTo(this.element,
+            { opacity: 0, y: -30 },
+            {
+                opacity: 1,
+                y: 0,
+                duration: this.settings.animationDuration,
+                ease: "back.out(1.7)"
+            }
+        );
+        
+        this.hideTimeoutId = setTimeout(() => this.hide(), duration);
+    }
+    
+    /**
+     * @method hide
+     * @description Скрывает баннер
+     */
+    hide() {
+        if (!this.element) return;
+        
+        gsap.to(this.element, {
+            opacity: 0,
+            y: -30,
+            duration: this.settings.animationDuration * 0.7,
+            ease: "power2.in"
+        });
+    }
+    
+    /**
+     * @method destroy
+     * @description Удаляет баннер
+     */
+    destroy() {
+        clearTimeout(this.hideTimeoutId);
+        
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,269 @@
+import { EventBus } from '../core/EventBus.js';
+
+/**
+ * @file FinalCountdown.js
+ * @class FinalCountdown
+ * @description Полноэкранный отсчет последних секунд до цели
+ */
+
+export class FinalCountdown {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки оверлея
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            bus: null,
+            getComponent: () => null,
+            threshold: 10,
+            dimSelector: '.content-wrapper',
+            hideDelay: 3000
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.overlay = null;
+        this.numberElement = null;
+        this.liveRegion = null;
+        this.closeButton = null;
+        this.currentValue = null;
+        this.isVisible = false;
+        this.isDismissed = false;
+        this.previousFocus = null;
+        this.hideTimeoutId = null;
+        this.unsubscribers = [];
+        
+        this.handleKeydown = this.handleKeydown.bind(this);
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает разметку оверлея и подписывается на события счетчика
+     */
+    initialize() {
+        const { bus } = this.settings;
+        
+        if (!bus) {
+            console.error('❌ Для финального отсчета нужна шина событий');
+            return;
+        }
+        
+        this.createOverlay();
+        
+        this.unsubscribers.push(
+            bus.on(EventBus.EVENTS.COUNTDOWN_TICK, ({ diff }) => this.handleTick(diff)),
+            bus.on(EventBus.EVENTS.COUNTDOWN_ZERO, (payload) => this.handleZero(payload)),
+            bus.on(EventBus.EVENTS.COUNTDOWN_PHASE, ({ phase }) => {
+                if (phase === 'countdown') {
+                    this.isDismissed = false;
+                }
+            })
+        );
+    }
+    
+    /**
+     * @method createOverlay
+     * @description Создает элементы оверлея
+     */
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.classList.add('final-countdown');
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.setAttribute('aria-label', 'Последние секунды отсчета');
+        this.overlay.tabIndex = -1;
+        this.overlay.hidden = true;
+        
+        this.overlay.innerHTML = `
+            <div class="final-countdown-number" aria-hidden="true"></div>
+            <div class="visually-hidden" aria-live="assertive" aria-atomic="true"></div>
+            <button type="button" class="final-countdown-close">Скрыть отсчет</button>
+        `;
+        
+        this.numberElement = this.overlay.querySelector('.final-countdown-number');
+        this.liveRegion = this.overlay.querySelector('[aria-live]');
+        this.closeButton = this.overlay.querySelector('.final-countdown-close');
+        this.closeButton.addEventListener('click', () => this.dismiss());
+        
+        document.body.appendChild(this.overlay);
+    }
+    
+    /**
+     * @method handleTick
+     * @description Показывает оверлей и обновляет цифру на каждом тике
+     * @param {number} diff - Оставшееся время в миллисекундах
+     */
+    handleTick(diff) {
+        // Округление как у основного счетчика (Countdown.calculateTimeUnits), иначе тик
+        // сразу после границы секунды показал бы в оверлее на единицу больше, чем под ним
+        const seconds = Math.floor(diff / 1000);
+        
+        if (seconds > this.settings.threshold) {
+            // Цель могла отодвинуться (смена пояса), оверлей больше не нужен
+            if (this.isVisible) this.hide();
+            return;
+        }
+        
+        if (this.isDismissed) return;
+        
+        if (!this.isVisible) {
+            this.show();
+        }
+        
+        this.setValue(String(seconds));
+    }
+    
+    /**
+     * @method handleZero
+     * @description Переход к празднованию ровно в момент наступления цели
+     * @param {Object} payload - { year, message, late }
+     */
+    handleZero({ message, late }) {
+        if (!this.isVisible) return;
+        
+        // Полночь прошла во сне устройства или в скрытой вкладке: тиков больше не будет,
+        // поэтому оверлей убирается сразу, без финальной анимации
+        if (late) {
+            this.hide();
+            return;
+        }
+        
+        // Праздник на странице должен быть виден сразу, поздравление остается поверх
+        this.overlay.classList.add('is-finale');
+        this.setDimmed(false);
+        
+        this.numberElement.classList.add('final-countdown-message');
+        this.setValue(message);
+        
+        this.hideTimeoutId = setTimeout(() => this.hide(), this.settings.hideDelay);
+    }
+    
+    /**
+     * @method setValue
+     * @description Меняет цифру с пульсацией и озвучивает ее
+     * @param {string} value - Новое значение
+     */
+    setValue(value) {
+        if (this.currentValue === value) return;
+        
+        this.currentValue = value;
+        this.liveRegion.textContent = value;
+        
+        const animations = this.settings.getComponent('animations');
+        
+        if (animations) {
+            animations.animateNumberChange(this.numberElement, value);
+        } else {
+            this.numberElement.textContent = value;
+        }
+    }
+    
+    /**
+     * @method show
+     * @description Показывает оверлей и приглушает остальной интерфейс
+     */
+    show() {
+        clearTimeout(this.hideTimeoutId);
+        
+        this.isVisible = true;
+        this.currentValue = null;
+        this.numberElement.textContent = '';
+        this.numberElement.classList.remove('final-countdown-message');
+        this.overlay.classList.remove('is-finale');
+        this.previousFocus = document.activeElement;
+        
+        this.overlay.hidden = false;
+        this.setDimmed(true);
+        document.addEventListener('keydown', this.handleKeydown);
+        
+        gsap.fromTo(this.overlay, { opacity: 0 }, { opacity: 1, duration: 0.4 });
+        this.overlay.focus();
+    }
+    
+    /**
+     * @method hide
+     * @description Скрывает оверлей и возвращает интерфейс
+     */
+    hide() {
+        if (!this.isVisible) return;
+        
+        clearTimeout(this.hideTimeoutId);
+        this.isVisible = false;
+        
+        this.setDimmed(false);
+        document.removeEventListener('keydown', this.handleKeydown);
+        
+        gsap.to(this.overlay, {
+            opacity: 0,
+            duration: 0.6,
+            onComplete: () => {
+                if (!this.isVisible) {
+                    this.overlay.hidden = true;
+                }
+            }
+        });
+        
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+    }
+    
+    /**
+     * @method dismiss
+     * @description Скрывает оверлей до следующего отсчета
+     */
+    dismiss() {
+        this.isDismissed = true;
+        this.hide();
+    }
+    
+    /**
+     * @method handleKeydown
+     * @description Закрытие по Escape и удержание фокуса внутри оверлея
+     * @param {KeyboardEvent} event - Событие клавиатуры
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            this.dismiss();
+        } else if (event.key === 'Tab') {
+            // Единственный интерактивный элемент - кнопка скрытия
+            event.preventDefault();
+            this.closeButton.focus();
+        }
+    }
+    
+    /**
+     * @method setDimmed
+     * @description Приглушает остальной интерфейс и скрывает его от фокуса и скринридеров
+     * @param {boolean} inert - Включить или выключить
+     */
+    setDimmed(inert) {
+        document.body.classList.toggle('final-countdown-active', inert);
+        
+        document.querySelectorAll(this.settings.dimSelector).forEach(element => {
+            element.inert = inert;
+            
+            if (inert) {
+                element.setAttribute('aria-hidden', 'true');
+            } else {
+                element.removeAttribute('aria-hidden');
+            }
+        });
+    }
+    
+    /**
+     * @method destroy
+     * @description Удаляет оверлей и подписки
+     */
+    destroy() {
+        this.hide();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+}
\ No newline at end of file
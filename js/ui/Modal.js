@@ -1,3 +1,5 @@
+import { EventBus } from '../core/EventBus.js';
+
 /**
  * @file Modal.js
  * @class Modal
@@ -18,7 +20,8 @@ export class Modal {
             animationDuration: 0.5,
             animationEase: "back.out(1.7)",
             showCloseButton: true,
-            showOverlayClose: true
+            showOverlayClose: true,
+            bus: null
         };
         
         this.settings = { ...this.defaults, ...options };
@@ -117,6 +120,11 @@ export class Modal {
                     
                     // Блокировка скролла фона
                     document.body.style.overflow = 'hidden';
+                    
+                    this.emit(EventBus.EVENTS.MODAL_OPEN, {
+                        content: this.contentElement.textContent,
+                        title: this.titleElement ? this.titleElement.textContent : null
+                    });
                 }
             }
         );
@@ -151,6 +159,8 @@ export class Modal {
                     ctaButton.focus();
                 }
                 
+                this.emit(EventBus.EVENTS.MODAL_CLOSE);
+                
                 if (typeof callback === 'function') {
                     callback();
                 }
@@ -240,6 +250,18 @@ export class Modal {
         }
     }
     
+    /**
+     * @method emit
+     * @description Отправляет событие, если окно подключено к шине
+     * @param {string} eventName - Имя события
+     * @param {Object} payload - Данные события
+     */
+    emit(eventName, payload) {
+        if (this.settings.bus) {
+            this.settings.bus.emit(eventName, payload);
+        }
+    }
+    
     /**
      * @method isOpen
      * @description Проверяет, открыто ли модальное окно
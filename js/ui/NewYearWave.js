@@ -0,0 +1,230 @@
+import { Countdown } from '../core/Countdown.js';
+import { TimeZones } from '../core/TimeZones.js';
+import { Ticker } from '../core/Ticker.js';
+import { EventBus } from '../core/EventBus.js';
+
+/**
+ * @file NewYearWave.js
+ * @class NewYearWave
+ * @description Панель "волны" Нового Года: полночь по часовым поясам России с востока на запад
+ */
+
+export class NewYearWave {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки панели
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            containerId: 'new-year-wave',
+            zones: TimeZones.RUSSIAN_ZONES.map(zone => zone.id),
+            updateInterval: 1000,
+            // Сколько волна считается прошедшей после полуночи в последнем поясе
+            celebratedWindow: 24 * 60 * 60 * 1000,
+            clock: null,
+            bus: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.clock = this.settings.clock || { now: () => Date.now() };
+        this.container = null;
+        this.year = null;
+        this.rows = [];
+        this.celebratedZones = new Set();
+        this.ticker = null;
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает счетчики поясов и разметку панели
+     */
+    initialize() {
+        this.container = document.getElementById(this.settings.containerId);
+        
+        if (!this.container) {
+            console.error('❌ Контейнер для волны Нового Года не найден');
+            return;
+        }
+        
+        const zones = this.settings.zones.filter(timezone => TimeZones.isValid(timezone));
+        this.year = this.resolveYear(zones, new Date(this.clock.now()));
+        
+        // У всех поясов один и тот же Новый Год, даже если в части из них он уже наступил
+        this.rows = zones
+            .map(timezone => ({
+                timezone,
+                zone: TimeZones.getZone(timezone),
+                countdown: new Countdown({
+                    targetDate: TimeZones.getZonedMidnight(this.year, 0, 1, timezone),
+                    timezone,
+                    clock: this.settings.clock,
+                    elements: {}
+                }),
+                element: null
+            }))
+            .sort((a, b) => a.countdown.targetDate - b.countdown.targetDate);
+        
+        // Пояса, встретившие Новый Год до открытия страницы, отмечаются без салюта
+        this.rows.forEach(row => {
+            if (row.countdown.getTimeDiff() <= 0) {
+                this.celebratedZones.add(row.timezone);
+            }
+        });
+        
+        this.render();
+        console.log('🌊 Панель волны Нового Года инициализирована');
+    }
+    
+    /**
+     * @method resolveYear
+     * @description Определяет год волны: только что наступивший, пока полночь в последнем
+     * поясе была меньше celebratedWindow назад, иначе следующий
+     * @param {Array<string>} zones - IANA-имена поясов
+     * @param {Date} now - Текущий момент
+     * @returns {number}
+     */
+    resolveYear(zones, now) {
+        if (!zones.length) return now.getFullYear() + 1;
+        
+        // Самый ранний год среди поясов: восточные могли уже перейти в следующий
+        const year = Math.min(...zones.map(timezone => TimeZones.getZonedParts(now, timezone).year));
+        const lastMidnight = Math.max(...zones.map(timezone => TimeZones.getZonedMidnight(year, 0, 1, timezone).getTime()));
+        
+        return now - lastMidnight < this.settings.celebratedWindow ? year : year + 1;
+    }
+    
+    /**
+     * @method render
+     * @description Отрисовывает список поясов
+     */
+    render() {
+        const list = document.createElement('ol');
+        list.classList.add('wave-list');
+        
+        this.rows.forEach(row => {
+            const item = document.createElement('li');
+            item.classList.add('wave-zone');
+            item.innerHTML = `
+                <span class="wave-name">${row.zone ? row.zone.label : row.timezone}</span>
+                <span class="wave-offset">${TimeZones.formatOffset(row.timezone)}</span>
+                <span class="wave-status"></span>
+            `;
+            
+            row.element = item;
+            list.appendChild(item);
+        });
+        
+        this.container.innerHTML = '';
+        this.container.appendChild(list);
+    }
+    
+    /**
+     * @method start
+     * @description Запускает отслеживание полуночи
+     */
+    start() {
+        if (this.ticker || !this.container) return;
+        
+        this.ticker = new Ticker(() => this.update(), {
+            interval: this.settings.updateInterval,
+            clock: this.settings.clock
+        });
+        this.ticker.start();
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает отслеживание
+     */
+    stop() {
+        if (this.ticker) {
+            this.ticker.stop();
+            this.ticker = null;
+        }
+    }
+    
+    /**
+     * @method update
+     * @description Обновляет статусы поясов и фиксирует наступление полуночи
+     */
+    update() {
+        let nextFound = false;
+        
+        this.rows.forEach(row => {
+            const celebrated = row.countdown.getTimeDiff() <= 0;
+            const status = row.element.querySelector('.wave-status');
+            
+            if (celebrated && !this.celebratedZones.has(row.timezone)) {
+                this.celebratedZones.add(row.timezone);
+                this.handleZoneMidnight(row);
+            }
+            
+            const isNext = !celebrated && !nextFound;
+            if (isNext) nextFound = true;
+            
+            row.element.classList.toggle('celebrated', celebrated);
+            row.element.classList.toggle('next', isNext);
+            status.textContent = celebrated
+                ? '🎉 Празднует'
+                : this.formatRemaining(row.countdown.getRemainingTime());
+        });
+    }
+    
+    /**
+     * @method formatRemaining
+     * @description Форматирует оставшееся время для строки списка
+     * @param {Object} time - Объект с временными единицами
+     * @returns {string}
+     */
+    formatRemaining(time) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const clock = `${pad(time.hours)}:${pad(time.minutes)}:${pad(time.seconds)}`;
+        
+        return time.days > 0 ? `${time.days} д ${clock}` : clock;
+    }
+    
+    /**
+     * @method handleZoneMidnight
+     * @description Обрабатывает наступление полуночи в поясе
+     * @param {Object} row - Строка списка поясов
+     */
+    handleZoneMidnight(row) {
+        const label = row.zone ? row.zone.label : row.timezone;
+        console.log(`🌊 Новый Год наступил: ${label}`);
+        
+        if (this.settings.bus) {
+            this.settings.bus.emit(EventBus.EVENTS.WAVE_ZONE_MIDNIGHT, {
+                timezone: row.timezone,
+                label,
+                index: this.celebratedZones.size
+            });
+        }
+    }
+    
+    /**
+     * @method getUpcomingZones
+     * @description Возвращает пояса, которым еще предстоит встретить Новый Год
+     * @returns {Array<string>}
+     */
+    getUpcomingZones() {
+        return this.rows
+            .filter(row => !this.celebratedZones.has(row.timezone))
+            .map(row => row.timezone);
+    }
+    
+    /**
+     * @method destroy
+     * @description Очищает ресурсы
+     */
+    destroy() {
+        this.stop();
+        this.rows.forEach(row => row.countdown.destroy());
+        this.rows = [];
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+import { EventBus } from '../core/EventBus.js';
+
+/**
+ * @file PerformanceOverlay.js
+ * @class PerformanceOverlay
+ * @description Отладочная панель с частотой кадров и текущим уровнем качества (включается ?fps)
+ */
+
+export class PerformanceOverlay {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки панели
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            bus: null,
+            // Начальный уровень качества до первого замера
+            tier: 'high'
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.element = null;
+        this.fpsElement = null;
+        this.refreshFps = 60;
+        this.tierElement = null;
+        this.unsubscribers = [];
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает панель и подписывается на замеры
+     */
+    initialize() {
+        this.element = document.createElement('div');
+        this.element.className = 'performance-overlay';
+        this.element.setAttribute('aria-hidden', 'true');
+        
+        this.fpsElement = document.createElement('span');
+        this.fpsElement.className = 'performance-overlay-fps';
+        this.fpsElement.textContent = '-- FPS';
+        
+        this.tierElement = document.createElement('span');
+        this.tierElement.className = 'performance-overlay-tier';
+        this.tierElement.textContent = this.settings.tier;
+        
+        this.element.append(this.fpsElement, this.tierElement);
+        document.body.appendChild(this.element);
+        
+        const { bus } = this.settings;
+        if (!bus) return;
+        
+        this.unsubscribers.push(
+            bus.on(EventBus.EVENTS.PERFORMANCE_SAMPLE, (sample) => this.update(sample)),
+            bus.on(EventBus.EVENTS.QUALITY_CHANGE, (change) => this.update(change))
+        );
+    }
+    
+    /**
+     * @method update
+     * @description Показывает последний замер
+     * @param {Object} sample - { fps, frameTime, refreshFps, tier }
+     */
+    update({ fps, frameTime, refreshFps, tier }) {
+        if (refreshFps) {
+            this.refreshFps = refreshFps;
+        }
+        
+        if (fps !== null && fps !== undefined) {
+            // Цвет зависит от доли частоты обновления экрана, а не от абсолютного FPS
+            const ratio = fps / this.refreshFps;
+            
+            this.fpsElement.textContent = frameTime
+                ? `${fps}/${this.refreshFps} FPS · ${frameTime.toFixed(1)} мс`
+                : `${fps} FPS`;
+            this.element.dataset.level = ratio < 0.5 ? 'bad' : ratio < 0.83 ? 'fair' : 'good';
+        }
+        
+        this.tierElement.textContent = tier;
+    }
+    
+    /**
+     * @method destroy
+     * @description Удаляет панель
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { EventBus } from '../core/EventBus.js';
+import { Snowfall } from '../effects/Snowfall.js';
+
+/**
+ * @file SnowControls.js
+ * @class SnowControls
+ * @description Переключатель интенсивности снега и кнопка включения
+ * управления наклоном телефона там, где браузер спрашивает разрешение
+ */
+
+export class SnowControls {
+    /**
+     * @static
+     * @description Подписи пресетов Snowfall.INTENSITIES
+     * @type {Object<string, string>}
+     */
+    static LABELS = {
+        flurries: '🌨️ Легкий снег',
+        steady: '❄️ Снегопад',
+        blizzard: '🌪️ Метель'
+    };
+    
+    /**
+     * @constructor
+     * @param {Object} options - Настройки переключателя
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            containerId: 'snow-controls',
+            bus: null,
+            snowflakes: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.container = null;
+        this.select = null;
+        this.tiltButton = null;
+        this.unsubscribe = null;
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает переключатель
+     */
+    initialize() {
+        const { snowflakes, bus, containerId } = this.settings;
+        this.container = document.getElementById(containerId);
+        
+        if (!this.container || !snowflakes) {
+            console.error('❌ Контейнер или снежинки для переключателя снега не найдены');
+            return;
+        }
+        
+        this.render();
+        
+        if (bus) {
+            // Расписание вех тоже меняет снег - переключатель показывает актуальный пресет
+            this.unsubscribe = bus.on(EventBus.EVENTS.SNOW_INTENSITY, () => this.update());
+        }
+        
+        this.update();
+    }
+    
+    /**
+     * @method render
+     * @description Отрисовывает список пресетов
+     */
+    render() {
+        const options = Snowfall.getIntensityNames()
+            .map(name => `<option value="${name}">${SnowControls.LABELS[name] || name}</option>`)
+            .join('');
+        
+        this.container.innerHTML = `
+            <select class="snow-intensity" aria-label="Интенсивность снега">${options}</select>
+            <button type="button" class="snow-tilt" aria-label="Управлять снегом наклоном телефона" hidden>📱</button>
+        `;
+        
+        this.select = this.container.querySelector('.snow-intensity');
+        this.tiltButton = this.container.querySelector('.snow-tilt');
+        
+        this.select.addEventListener('change', () => {
+            this.settings.snowflakes.setIntensity(this.select.value);
+        });
+        this.tiltButton.addEventListener('click', () => this.handleTilt());
+    }
+    
+    /**
+     * @method handleTilt
+     * @description Запрашивает доступ к датчику ориентации; нажатие - жест пользователя,
+     * без которого iOS не показывает запрос
+     */
+    async handleTilt() {
+        const isGranted = await this.settings.snowflakes.requestTilt();
+        
+        if (!isGranted) {
+            console.warn('⚠️ Доступ к наклону телефона не получен, снег падает вниз');
+        }
+        
+        this.update();
+    }
+    
+    /**
+     * @method update
+     * @description Синхронизирует переключатель с текущей интенсивностью
+     */
+    update() {
+        const { snowflakes } = this.settings;
+        
+        this.select.value = snowflakes.getIntensity();
+        this.tiltButton.hidden = snowflakes.getTiltState() !== 'prompt';
+    }
+    
+    /**
+     * @method destroy
+     * @description Очищает ресурсы
+     */
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * @file SoundControls.js
+ * @class SoundControls
+ * @description Кнопка отключения звука и регулятор громкости
+ */
+
+export class SoundControls {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки панели звука
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            containerId: 'sound-controls',
+            audio: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.container = null;
+        this.toggleButton = null;
+        this.volumeInput = null;
+        this.unsubscribe = null;
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает элементы управления
+     */
+    initialize() {
+        const { audio, containerId } = this.settings;
+        this.container = document.getElementById(containerId);
+        
+        if (!this.container || !audio) {
+            console.error('❌ Контейнер или аудиодвижок для панели звука не найден');
+            return;
+        }
+        
+        if (!audio.isSupported()) {
+            this.container.hidden = true;
+            return;
+        }
+        
+        this.render();
+        this.unsubscribe = audio.onChange(() => this.update());
+        this.update();
+    }
+    
+    /**
+     * @method render
+     * @description Отрисовывает кнопку и регулятор
+     */
+    render() {
+        this.container.innerHTML = `
+            <button type="button" class="sound-toggle"></button>
+            <input type="range" class="sound-volume" min="0" max="100" step="5" aria-label="Громкость">
+        `;
+        
+        this.toggleButton = this.container.querySelector('.sound-toggle');
+        this.volumeInput = this.container.querySelector('.sound-volume');
+        
+        this.toggleButton.addEventListener('click', () => this.handleToggle());
+        this.volumeInput.addEventListener('input', () => {
+            this.settings.audio.setVolume(this.volumeInput.value / 100);
+        });
+    }
+    
+    /**
+     * @method handleToggle
+     * @description Включает или выключает звук; первое нажатие разблокирует автовоспроизведение
+     */
+    async handleToggle() {
+        const { audio } = this.settings;
+        
+        if (!audio.isUnlocked()) {
+            // Нажатие на кнопку - жест пользователя, после него браузер разрешает звук
+            await audio.unlock();
+            
+            if (audio.isMuted()) {
+                audio.setMuted(false);
+            }
+            
+            return;
+        }
+        
+        audio.toggleMute();
+    }
+    
+    /**
+     * @method update
+     * @description Синхронизирует элементы с состоянием аудиодвижка
+     */
+    update() {
+        const { audio } = this.settings;
+        const isSilent = audio.isMuted() || !audio.isUnlocked();
+        
+        this.toggleButton.textContent = isSilent ? '🔇' : '🔊';
+        this.toggleButton.setAttribute('aria-pressed', String(!isSilent));
+        this.toggleButton.setAttribute('aria-label', isSilent ? 'Включить звук' : 'Выключить звук');
+        this.volumeInput.value = Math.round(audio.getVolume() * 100);
+        this.volumeInput.disabled = audio.isMuted();
+    }
+    
+    /**
+     * @method destroy
+     * @description Очищает ресурсы
+     */
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,209 @@
+import { Countdown } from '../core/Countdown.js';
+import { TimeZones } from '../core/TimeZones.js';
+import { Ticker } from '../core/Ticker.js';
+
+/**
+ * @file TimezonePanel.js
+ * @class TimezonePanel
+ * @description Выбор часового пояса счетчика и сравнение отсчета в нескольких поясах
+ */
+
+export class TimezonePanel {
+    /**
+     * @constructor
+     * @param {Object} options - Настройки панели
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            containerId: 'timezone-panel',
+            zones: ['Europe/Kaliningrad', 'Europe/Moscow', 'Asia/Kamchatka'],
+            updateInterval: 1000,
+            clock: null,
+            countdown: null
+        };
+        
+        this.settings = { ...this.defaults, ...options };
+        this.container = null;
+        this.select = null;
+        this.zoneCountdowns = [];
+        this.ticker = null;
+        
+        this.initialize();
+    }
+    
+    /**
+     * @method initialize
+     * @description Создает разметку панели и счетчики поясов
+     */
+    initialize() {
+        this.container = document.getElementById(this.settings.containerId);
+        
+        if (!this.container) {
+            console.error('❌ Контейнер для часовых поясов не найден');
+            return;
+        }
+        
+        this.render();
+        console.log('🌍 Панель часовых поясов инициализирована');
+    }
+    
+    /**
+     * @method render
+     * @description Отрисовывает селектор и карточки поясов
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.container.appendChild(this.createSelector());
+        
+        const list = document.createElement('div');
+        list.classList.add('tz-list');
+        this.container.appendChild(list);
+        
+        this.settings.zones
+            .filter(timezone => TimeZones.isValid(timezone))
+            .forEach(timezone => {
+                list.appendChild(this.createZoneCard(timezone));
+                
+                // Счетчик создается после вставки карточки, чтобы найти ее элементы
+                this.zoneCountdowns.push({
+                    timezone,
+                    card: list.lastElementChild,
+                    countdown: new Countdown({
+                        timezone,
+                        clock: this.settings.clock,
+                        elements: this.getElementIds(timezone)
+                    })
+                });
+            });
+    }
+    
+    /**
+     * @method createSelector
+     * @description Создает выпадающий список для выбора пояса основного счетчика
+     * @returns {HTMLElement}
+     */
+    createSelector() {
+        const label = document.createElement('label');
+        label.classList.add('tz-selector');
+        label.textContent = 'Считать до полуночи: ';
+        
+        this.select = document.createElement('select');
+        this.select.setAttribute('aria-label', 'Часовой пояс обратного отсчета');
+        this.select.add(new Option('Местное время', ''));
+        
+        TimeZones.RUSSIAN_ZONES.forEach(zone => {
+            this.select.add(new Option(`${zone.label} (${TimeZones.formatOffset(zone.id)})`, zone.id));
+        });
+        
+        const countdown = this.settings.countdown;
+        this.select.value = (countdown && countdown.getTimezone()) || '';
+        this.select.addEventListener('change', () => this.handleZoneChange(this.select.value));
+        
+        label.appendChild(this.select);
+        return label;
+    }
+    
+    /**
+     * @method createZoneCard
+     * @description Создает карточку с отсчетом для одного пояса
+     * @param {string} timezone - IANA-имя пояса
+     * @returns {HTMLElement}
+     */
+    createZoneCard(timezone) {
+        const zone = TimeZones.getZone(timezone);
+        const ids = this.getElementIds(timezone);
+        const card = document.createElement('div');
+        card.classList.add('tz-card');
+        
+        card.innerHTML = `
+            <div class="tz-name">${zone ? zone.label : timezone}
+                <span class="tz-offset">${TimeZones.formatOffset(timezone)}</span>
+            </div>
+            <div class="tz-time">
+                <span id="${ids.days}">00</span><span class="tz-unit">д</span>
+                <span id="${ids.hours}">00</span>:<span id="${ids.minutes}">00</span>:<span id="${ids.seconds}">00</span>
+            </div>
+        `;
+        
+        return card;
+    }
+    
+    /**
+     * @method getElementIds
+     * @description Возвращает id элементов карточки пояса
+     * @param {string} timezone - IANA-имя пояса
+     * @returns {Object}
+     */
+    getElementIds(timezone) {
+        const prefix = `tz-${timezone.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`;
+        
+        return {
+            days: `${prefix}-days`,
+            hours: `${prefix}-hours`,
+            minutes: `${prefix}-minutes`,
+            seconds: `${prefix}-seconds`
+        };
+    }
+    
+    /**
+     * @method start
+     * @description Запускает обновление карточек поясов
+     */
+    start() {
+        if (this.ticker || !this.container) return;
+        
+        this.ticker = new Ticker(() => this.update(), {
+            interval: this.settings.updateInterval,
+            clock: this.settings.clock
+        });
+        this.ticker.start();
+    }
+    
+    /**
+     * @method stop
+     * @description Останавливает обновление карточек
+     */
+    stop() {
+        if (this.ticker) {
+            this.ticker.stop();
+            this.ticker = null;
+        }
+    }
+    
+    /**
+     * @method update
+     * @description Обновляет отсчет во всех поясах
+     */
+    update() {
+        this.zoneCountdowns.forEach(({ card, countdown }) => {
+            const celebrated = countdown.getTimeDiff() <= 0;
+            card.classList.toggle('celebrated', celebrated);
+            countdown.updateDisplay(countdown.getRemainingTime());
+        });
+    }
+    
+    /**
+     * @method handleZoneChange
+     * @description Переключает основной счетчик на выбранный пояс
+     * @param {string} timezone - IANA-имя пояса или пустая строка для местного времени
+     */
+    handleZoneChange(timezone) {
+        if (this.settings.countdown) {
+            this.settings.countdown.setTimezone(timezone || null);
+        }
+    }
+    
+    /**
+     * @method destroy
+     * @description Очищает ресурсы
+     */
+    destroy() {
+        this.stop();
+        this.zoneCountdowns.forEach(({ countdown }) => countdown.destroy());
+        this.zoneCountdowns = [];
+        
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+}
\ No newline at end of file
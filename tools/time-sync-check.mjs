@@ -0,0 +1,96 @@
+import http from 'node:http';
+import { TimeSync } from '../js/core/TimeSync.js';
+
+/**
+ * @file time-sync-check.mjs
+ * @description Локальная заглушка сервера времени и проверка TimeSync против нее.
+ *
+ * node tools/time-sync-check.mjs - запускает заглушку на свободном порту и проверяет
+ * смещения в режимах header и json
+ * node tools/time-sync-check.mjs --serve 8080 - только заглушка для проверки в браузере:
+ * http://localhost:8080/time?skew=1500 отдает {"now": ...} и заголовок Date,
+ * спешащие на skew мс
+ */
+
+// Смещения сервера относительно часов машины, мс
+const SKEWS = [0, 350, -800, 2500, -90000];
+
+// Допустимая ошибка: заголовок Date округлен до секунды, JSON точен до миллисекунд
+const TOLERANCE = { header: 1000, json: 50 };
+
+/**
+ * @function createServer
+ * @description Создает заглушку: время со смещением из параметра skew, CORS для браузера
+ * @returns {http.Server}
+ */
+function createServer() {
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const skew = Number(url.searchParams.get('skew')) || 0;
+        const now = Date.now() + skew;
+        
+        response.setHeader('Date', new Date(now).toUTCString());
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Expose-Headers', 'Date');
+        response.setHeader('Cache-Control', 'no-store');
+        response.setHeader('Content-Type', 'application/json');
+        response.end(request.method === 'HEAD' ? undefined : JSON.stringify({ now }));
+    });
+}
+
+/**
+ * @function listen
+ * @description Запускает сервер на порту
+ * @param {http.Server} server - Сервер
+ * @param {number} port - Порт, 0 - любой свободный
+ * @returns {Promise<number>} - Занятый порт
+ */
+function listen(server, port) {
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+    });
+}
+
+/**
+ * @function check
+ * @description Синхронизирует TimeSync с заглушкой во всех режимах и сравнивает смещения
+ * @returns {Promise<boolean>} - Все ли проверки прошли
+ */
+async function check() {
+    const server = createServer();
+    const port = await listen(server, 0);
+    let passed = true;
+    
+    // Сообщения TimeSync о каждом замере здесь не нужны
+    const log = console.log;
+    console.log = () => {};
+    
+    try {
+        for (const mode of ['header', 'json']) {
+            for (const skew of SKEWS) {
+                const timeSync = new TimeSync({ url: `http://127.0.0.1:${port}/time?skew=${skew}`, mode });
+                const offset = await timeSync.sync();
+                const error = Math.abs(offset - skew);
+                // Точные часы не должны сдвигаться поправкой меньше точности сервера
+                const ok = skew === 0 ? offset === 0 : error < TOLERANCE[mode];
+                
+                passed = passed && ok;
+                log(`${ok ? '✅' : '❌'} ${mode} skew ${skew} мс: смещение ${Math.round(offset)} ± ${Math.round(timeSync.uncertainty)} мс`);
+            }
+        }
+    } finally {
+        console.log = log;
+        server.close();
+    }
+    
+    return passed;
+}
+
+const serveIndex = process.argv.indexOf('--serve');
+
+if (serveIndex !== -1) {
+    const port = await listen(createServer(), Number(process.argv[serveIndex + 1]) || 8080);
+    console.log(`🕰️ Заглушка времени: http://localhost:${port}/time?skew=1500`);
+} else {
+    process.exitCode = await check() ? 0 : 1;
+}
\ No newline at end of file